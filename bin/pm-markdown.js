@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Check or fix markdown files against the WYSIWYG editor; see src/cli/pmMarkdown.js
+import { run } from "../src/cli/pmMarkdown.js";
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { createLocalStorageDraftStore } from '../utils/autosave.js';
+
+const memoryDraftStore = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    get: vi.fn(async (key) => data[key] ?? null),
+    set: vi.fn(async (key, draft) => { data[key] = draft; }),
+    remove: vi.fn(async (key) => { delete data[key]; })
+  };
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Draft autosave', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`, { url: 'https://example.test/posts/7/edit' });
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    document.body.innerHTML = `<form><div><textarea name="body">Server text</textarea></div></form>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  const typeInto = (editor, text) => {
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(text, pm.state.doc.content.size - 1));
+  };
+
+  it('should save WYSIWYG drafts from the debounced sync', async () => {
+    const store = memoryDraftStore();
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store } });
+    await flush();
+
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+
+    const draft = store.data['/posts/7/edit:body'];
+    expect(draft.markdown).toBe('Server text!');
+    expect(draft.mode).toBe('prosemirror');
+    expect(draft.base).toBe('Server text');
+    expect(typeof draft.savedAt).toBe('number');
+    expect(draft.selection).toEqual({ from: expect.any(Number), to: expect.any(Number) });
+  });
+
+  it('should not add serialization work to edits', async () => {
+    const countSerializations = async (options) => {
+      const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, ...options });
+      await flush();
+      const serialize = vi.spyOn(editor.view.mdSerializer, 'serialize');
+      typeInto(editor, '!');
+      editor.view._syncToMirror(true);
+      const calls = serialize.mock.calls.length;
+      destroyEditor(textarea);
+      textarea.value = 'Server text';
+      return calls;
+    };
+
+    const without = await countSerializations({});
+    const withAutosave = await countSerializations({ autosave: { store: memoryDraftStore() } });
+
+    expect(withAutosave).toBe(without);
+  });
+
+  it('should save markdown drafts after the configured delay', async () => {
+    vi.useFakeTimers();
+    try {
+      const store = memoryDraftStore();
+      createEditor(textarea, { mode: 'markdown', preferences: false, autosave: { store, key: 'k', delay: 500 } });
+      await vi.runAllTimersAsync();
+
+      textarea.value = 'Edited';
+      textarea.dispatchEvent(new dom.window.Event('input'));
+      expect(store.set).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(500);
+      expect(store.data.k.markdown).toBe('Edited');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should offer a newer draft and restore it', async () => {
+    const store = memoryDraftStore({
+      k: { markdown: 'Draft text', mode: 'markdown', selection: { from: 2, to: 4 }, savedAt: Date.now(), base: 'Server text' }
+    });
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+
+    const notice = document.querySelector('.pm-draft-notice');
+    expect(notice).not.toBeNull();
+    expect(notice.getAttribute('role')).toBe('status');
+
+    notice.querySelector('.pm-draft-restore').click();
+
+    expect(document.querySelector('.pm-draft-notice')).toBeNull();
+    expect(editor.mode).toBe('markdown');
+    expect(editor.content).toBe('Draft text');
+    expect(textarea.selectionStart).toBe(2);
+    expect(textarea.selectionEnd).toBe(4);
+    expect(editor.isDirty()).toBe(true);
+  });
+
+  it('should discard a draft on request', async () => {
+    const store = memoryDraftStore({ k: { markdown: 'Draft text', mode: 'markdown', savedAt: Date.now() } });
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+
+    document.querySelector('.pm-draft-discard').click();
+    await flush();
+
+    expect(store.data.k).toBeUndefined();
+    expect(editor.content).toBe('Server text');
+  });
+
+  it('should let the host handle found drafts', async () => {
+    const store = memoryDraftStore({ k: { markdown: 'Draft text', mode: 'markdown', savedAt: Date.now() } });
+    const onDraftFound = vi.fn((draft, { restore }) => restore());
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, autosave: { store, key: 'k', onDraftFound } });
+    await flush();
+
+    expect(onDraftFound).toHaveBeenCalledWith(expect.objectContaining({ markdown: 'Draft text' }), expect.any(Object));
+    expect(document.querySelector('.pm-draft-notice')).toBeNull();
+    expect(editor.content).toBe('Draft text');
+  });
+
+  it('should drop drafts older than the server value', async () => {
+    textarea.setAttribute('data-editor-updated-at', '2030-01-01T00:00:00Z');
+    const store = memoryDraftStore({ k: { markdown: 'Old draft', mode: 'markdown', savedAt: Date.parse('2029-12-31T00:00:00Z') } });
+    createEditor(textarea, { mode: 'markdown', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+
+    expect(document.querySelector('.pm-draft-notice')).toBeNull();
+    expect(store.data.k).toBeUndefined();
+  });
+
+  it('should read data-editor-updated-at in Unix seconds or milliseconds', async () => {
+    const savedAt = Date.parse('2030-01-01T00:00:00Z');
+    for (const [updatedAt, kept] of [[savedAt / 1000 - 60, true], [savedAt / 1000 + 60, false], [savedAt + 60000, false]]) {
+      textarea.setAttribute('data-editor-updated-at', String(updatedAt));
+      const store = memoryDraftStore({ k: { markdown: 'Draft text', mode: 'markdown', savedAt } });
+      const editor = createEditor(textarea, { mode: 'markdown', preferences: false, autosave: { store, key: 'k' } });
+      await flush();
+
+      expect(!!document.querySelector('.pm-draft-notice')).toBe(kept);
+      expect(!!store.data.k).toBe(kept);
+      editor.destroy();
+    }
+  });
+
+  it('should not overwrite a pending draft before the user decides', async () => {
+    const store = memoryDraftStore({ k: { markdown: 'Draft text', mode: 'prosemirror', savedAt: Date.now() } });
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+
+    expect(store.data.k.markdown).toBe('Draft text');
+  });
+
+  it('should clear the draft after an uncancelled submit', async () => {
+    const store = memoryDraftStore();
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+    expect(store.data.k).toBeDefined();
+
+    document.querySelector('form').dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+    await flush();
+
+    expect(store.data.k).toBeUndefined();
+  });
+
+  it('should keep the draft when submission is cancelled', async () => {
+    const store = memoryDraftStore();
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+
+    const form = document.querySelector('form');
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+    await flush();
+
+    expect(store.data.k).toBeDefined();
+  });
+
+  it('should persist drafts to localStorage by default', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: true });
+    await flush();
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+    await flush();
+
+    const stored = JSON.parse(dom.window.localStorage.getItem('pm-editor-draft:/posts/7/edit:body'));
+    expect(stored.markdown).toBe('Server text!');
+
+    const draftStore = createLocalStorageDraftStore(dom.window.localStorage);
+    expect((await draftStore.get('/posts/7/edit:body')).markdown).toBe('Server text!');
+  });
+
+  it('should keep saving when the store fails to read', async () => {
+    const store = memoryDraftStore();
+    store.get = vi.fn(() => { throw new Error('blocked'); });
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('could not read the draft'), expect.any(Error));
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+    expect(store.data.k.markdown).toBe('Server text!');
+  });
+
+  it('should catch failed writes and removals', async () => {
+    const store = memoryDraftStore();
+    store.set = vi.fn(async () => { throw new Error('QuotaExceededError'); });
+    store.remove = vi.fn(() => Promise.reject(new Error('blocked')));
+    const unhandled = vi.fn();
+    process.on('unhandledRejection', unhandled);
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, autosave: { store, key: 'k' } });
+    await flush();
+
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+    document.querySelector('form').dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+    await flush();
+    await flush();
+    process.off('unhandledRejection', unhandled);
+
+    expect(unhandled).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('could not save the draft'), expect.any(Error));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('could not remove the draft'), expect.any(Error));
+  });
+
+  it('should warn and disable autosave without a field key', () => {
+    textarea.removeAttribute('name');
+    createEditor(textarea, { preferences: false, autosave: true });
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Autosave needs a field key'));
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { TextSelection } from 'prosemirror-state';
+import { undo, undoDepth } from 'prosemirror-history';
+import { createEditor, destroyEditor } from '../index.js';
+
+describe('getMarkdown / setMarkdown', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea name="body">First\n\nSecond</textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.useRealTimers();
+  });
+
+  const typeInto = (editor, text) => {
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(text, pm.state.doc.content.size - 1));
+  };
+
+  it('should flush a pending WYSIWYG sync', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, '!');
+    expect(textarea.value).toBe('First\n\nSecond');
+
+    expect(editor.getMarkdown()).toBe('First\n\nSecond!');
+    expect(textarea.value).toBe('First\n\nSecond!');
+  });
+
+  it('should replace the WYSIWYG document in one transaction without rebuilding the view', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const pmView = editor.view.view;
+    const dispatch = vi.spyOn(pmView, 'dispatch');
+
+    editor.setMarkdown('# New\n\nContent');
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(editor.view.view).toBe(pmView);
+    expect(textarea.value).toBe('# New\n\nContent');
+    expect(pmView.state.doc.firstChild.type.name).toBe('heading');
+  });
+
+  it('should be undoable unless addToHistory is false', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const pm = editor.view.view;
+
+    editor.setMarkdown('Replaced', { addToHistory: false });
+    expect(undoDepth(pm.state)).toBe(0);
+
+    editor.setMarkdown('Replaced again');
+    expect(undoDepth(pm.state)).toBe(1);
+    undo(pm.state, pm.dispatch);
+    expect(editor.getMarkdown()).toBe('Replaced');
+  });
+
+  it('should leave a field focused elsewhere alone when setting markdown mode content', () => {
+    document.body.insertAdjacentHTML('beforeend', '<input name="title" value="Title">');
+    const input = document.querySelector('input');
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    // Like the browser: execCommand edits the focused element
+    document.execCommand = vi.fn((command, _showUI, text) => {
+      const el = document.activeElement;
+      el.setRangeText(command === 'insertText' ? text : '', el.selectionStart, el.selectionEnd, 'end');
+      return true;
+    });
+
+    input.focus();
+    editor.setMarkdown('From the host');
+
+    expect(input.value).toBe('Title');
+    expect(textarea.value).toBe('From the host');
+    expect(document.activeElement).toBe(input);
+    expect(document.execCommand).not.toHaveBeenCalled();
+
+    textarea.focus();
+    editor.setMarkdown('From the host again');
+    expect(document.execCommand).toHaveBeenCalledTimes(1);
+    expect(textarea.value).toBe('From the host again');
+  });
+
+  it('should not be overwritten by a pending sync', async () => {
+    vi.useFakeTimers();
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, '!');
+
+    editor.setMarkdown('From the host');
+    vi.advanceTimersByTime(1000);
+
+    expect(textarea.value).toBe('From the host');
+  });
+
+  it('should keep the selection when the change is elsewhere', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const pm = editor.view.view;
+    const end = pm.state.doc.content.size - 1;
+    pm.dispatch(pm.state.tr.setSelection(TextSelection.create(pm.state.doc, end)));
+
+    editor.setMarkdown('First line\n\nSecond');
+
+    const { from } = pm.state.selection;
+    expect(pm.state.doc.textBetween(from - 6, from)).toBe('Second');
+  });
+
+  it('should work in markdown mode and emit change', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const onChange = vi.fn();
+    editor.on('change', onChange);
+
+    editor.setMarkdown('Plain *text*');
+
+    expect(textarea.value).toBe('Plain *text*');
+    expect(editor.getMarkdown()).toBe('Plain *text*');
+    expect(onChange).toHaveBeenCalledWith({ markdown: 'Plain *text*' });
+    expect(editor.isDirty()).toBe(true);
+  });
+
+  it('should work in split and preview modes', () => {
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+    editor.setMarkdown('**Split**');
+    expect(textarea.value).toBe('**Split**');
+    expect(editor.view.view.state.doc.textContent).toBe('Split');
+
+    editor.switchTo('preview');
+    editor.setMarkdown('*Preview*');
+    expect(document.querySelector('.pm-preview em').textContent).toBe('Preview');
+    expect(textarea.value).toBe('*Preview*');
+  });
+
+  it('should use the configured sync delay', () => {
+    vi.useFakeTimers();
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, syncDelay: 50 });
+    typeInto(editor, '!');
+
+    vi.advanceTimersByTime(60);
+    expect(textarea.value).toBe('First\n\nSecond!');
+  });
+});
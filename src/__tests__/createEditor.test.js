@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { Plugin } from 'prosemirror-state';
+import { createEditor, initProseMirrorEditor } from '../index.js';
+
+describe('createEditor factory', () => {
+  let dom, document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    document.body.innerHTML = `
+      <form>
+        <div><textarea id="article" data-editor-mode="markdown"># Article</textarea></div>
+        <div><textarea id="comment">Comment **text**</textarea></div>
+      </form>
+    `;
+  });
+
+  afterEach(() => {
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  it('should return an instance exposing the editor API', () => {
+    const textarea = document.getElementById('article');
+    const editor = createEditor(textarea);
+
+    expect(editor).toBe(textarea._editorAPI);
+    expect(editor.element).toBe(textarea);
+    expect(editor.mode).toBe('markdown');
+    expect(editor.content).toBe('# Article');
+  });
+
+  it('should let the mode option override data attributes', () => {
+    const editor = createEditor(document.getElementById('article'), { mode: 'prosemirror' });
+    expect(editor.mode).toBe('prosemirror');
+  });
+
+  it('should ignore invalid mode options', () => {
+    const editor = createEditor(document.getElementById('article'), { mode: 'bogus' });
+    expect(editor.mode).toBe('markdown');
+  });
+
+  it('should warn and return null for non-textarea elements', () => {
+    const div = document.createElement('div');
+    document.body.appendChild(div);
+
+    expect(createEditor(div)).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith('[ProseMirror] createEditor requires a textarea element.');
+  });
+
+  it('should configure each instance independently', () => {
+    const article = createEditor(document.getElementById('article'), { mode: 'prosemirror' });
+    const comment = createEditor(document.getElementById('comment'), { toolbar: false });
+
+    const articleMount = article.view.view.dom.parentNode;
+    const commentMount = comment.view.view.dom.parentNode;
+    expect(articleMount.querySelector('.pm-toolbar')).not.toBeNull();
+    expect(commentMount.querySelector('.pm-toolbar')).toBeNull();
+  });
+
+  it('should install extra plugins', () => {
+    const spy = vi.fn();
+    const extra = new Plugin({ view() { spy(); return {}; } });
+    const editor = createEditor(document.getElementById('comment'), { plugins: [extra] });
+
+    expect(spy).toHaveBeenCalled();
+    expect(editor.view.view.state.plugins).toContain(extra);
+  });
+
+  it('should keep options across mode switches', () => {
+    const editor = createEditor(document.getElementById('comment'), { toolbar: false });
+    editor.switchTo('markdown');
+    editor.switchTo('prosemirror');
+
+    expect(editor.view.view.dom.parentNode.querySelector('.pm-toolbar')).toBeNull();
+  });
+
+  it('should use custom extensions', () => {
+    const editor = createEditor(document.getElementById('comment'), { extensions: [] });
+    const { schema } = editor.view.view.state;
+
+    expect(schema.marks.link).toBeDefined();
+    expect(schema.nodes.paragraph).toBeDefined();
+  });
+
+  it('should skip form submit syncing when disabled', () => {
+    const textarea = document.getElementById('comment');
+    const editor = createEditor(textarea, { syncOnSubmit: false });
+
+    expect(editor.view._onSubmit).toBeUndefined();
+  });
+
+  describe('initProseMirrorEditor', () => {
+    it('should pass options through and return the instances', () => {
+      const editors = initProseMirrorEditor('textarea', { mode: 'markdown' });
+
+      expect(editors).toHaveLength(2);
+      editors.forEach((editor) => expect(editor.mode).toBe('markdown'));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor, EXTENSIONS } from '../index.js';
+import { readDataOptions } from '../utils/dataOptions.js';
+import { TOOLBAR_ITEMS } from '../ui/toolbarItems.js';
+
+describe('Data attribute configuration', () => {
+  let dom, document, textarea, warn;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => { cb(); return 1; });
+    global.cancelAnimationFrame = vi.fn();
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (textarea) destroyEditor(textarea);
+    textarea = null;
+    warn.mockRestore();
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const field = (attributes) => {
+    document.body.innerHTML = `<div class="field"><textarea name="body" ${attributes}># Title\n\nText</textarea></div>`;
+    textarea = document.querySelector('textarea');
+    return textarea;
+  };
+  const controls = (toolbar) => Array.from(toolbar.children).map((el) =>
+    el.classList.contains('pm-toolbar-separator') ? '|' : el.classList.contains('pm-select') ? 'heading' : el.title
+  );
+  const keydown = (target, init) => target.dispatchEvent(new dom.window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+
+  it('should lay out the toolbar in both modes', () => {
+    const editor = createEditor(field('data-toolbar="bold,italic,link,|,ul,ol"'), { mode: 'prosemirror', preferences: false });
+    const expected = [TOOLBAR_ITEMS.bold.title, TOOLBAR_ITEMS.italic.title, TOOLBAR_ITEMS.link.title, '|', TOOLBAR_ITEMS.bulletList.title, TOOLBAR_ITEMS.orderedList.title];
+
+    expect(controls(document.querySelector('.pm-toolbar'))).toEqual(expected);
+    editor.switchTo('markdown');
+    expect(controls(document.querySelector('.pm-markdown-toolbar'))).toEqual(expected);
+  });
+
+  it('should drop separators left at the edges by missing items', () => {
+    createEditor(field('data-toolbar="|,flatten,|,bold,|"'), { mode: 'markdown', preferences: false });
+    expect(controls(document.querySelector('.pm-toolbar'))).toEqual([TOOLBAR_ITEMS.bold.title]);
+  });
+
+  it('should hide the toolbar with data-toolbar="false"', () => {
+    createEditor(field('data-toolbar="false"'), { mode: 'prosemirror', preferences: false });
+    expect(document.querySelector('.pm-toolbar')).toBeNull();
+  });
+
+  it('should show a heading level left out of data-allowed-headings as a paragraph', () => {
+    const editor = createEditor(field('data-allowed-headings="2-4"'), { mode: 'markdown', preferences: false });
+    const select = () => document.querySelector('.pm-select select');
+
+    textarea.setSelectionRange(2, 2);
+    textarea.dispatchEvent(new dom.window.Event('select'));
+    expect(select().value).toBe('p');
+
+    editor.switchTo('prosemirror');
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.setSelection(pm.state.selection.constructor.near(pm.state.doc.resolve(1))));
+    expect(select().value).toBe('p');
+  });
+
+  it('should limit headings to data-allowed-headings', () => {
+    const editor = createEditor(field('data-allowed-headings="2-4"'), { mode: 'markdown', preferences: false });
+    const options = () => Array.from(document.querySelectorAll('.pm-select option')).map((o) => o.value);
+    expect(options()).toEqual(['p', 'h2', 'h3', 'h4']);
+
+    textarea.setSelectionRange(20, 20);
+    keydown(textarea, { key: '!', code: 'Digit1', ctrlKey: true, shiftKey: true });
+    keydown(textarea, { key: '@', code: 'Digit2', ctrlKey: true, shiftKey: true });
+    expect(textarea.value).toBe('# Title\n\n## Text');
+
+    editor.switchTo('prosemirror');
+    expect(options()).toEqual(['p', 'h2', 'h3', 'h4']);
+  });
+
+  it('should map height, sync delay, code join mode, toggle and extensions to options', () => {
+    const editor = createEditor(field('data-height="6-20" data-sync-delay="750" data-code-join-mode="always" data-readonly-toggle="hide" data-extensions="default tableRowLineBreaks"'), { preferences: false });
+
+    expect(editor.options).toMatchObject({
+      autoGrow: true,
+      minRows: 6,
+      maxRows: 20,
+      syncDelay: 750,
+      hideToggleWhenReadOnly: true,
+      toolbar: { codeJoinMode: 'always' }
+    });
+    expect(editor.options.extensions).toContain(EXTENSIONS.tableRowLineBreaks);
+  });
+
+  it('should override options passed in and merge toolbar settings', () => {
+    const editor = createEditor(field('data-sync-delay="0" data-toolbar="bold"'), {
+      preferences: false,
+      syncDelay: 500,
+      toolbar: { codeJoinMode: 'never' }
+    });
+    expect(editor.options.syncDelay).toBe(0);
+    expect(editor.options.toolbar).toEqual({ codeJoinMode: 'never', items: ['bold'] });
+  });
+
+  it('should keep a toolbar turned off in options unless data-toolbar lists items', () => {
+    const off = createEditor(field('data-code-join-mode="always"'), { mode: 'prosemirror', preferences: false, toolbar: false });
+    expect(off.options.toolbar).toBe(false);
+    expect(document.querySelector('.pm-toolbar')).toBeNull();
+    destroyEditor(textarea);
+
+    const on = createEditor(field('data-code-join-mode="always" data-toolbar="bold"'), { mode: 'prosemirror', preferences: false, toolbar: false });
+    expect(on.options.toolbar).toEqual({ codeJoinMode: 'always', items: ['bold'] });
+    expect(controls(document.querySelector('.pm-toolbar'))).toEqual([TOOLBAR_ITEMS.bold.title]);
+  });
+
+  it('should ignore invalid values and warn only in debug mode', () => {
+    field('data-height="tall" data-sync-delay="-5" data-allowed-headings="0-9" data-code-join-mode="sometimes" data-readonly-toggle="maybe" data-toolbar="bold,sparkle" data-extensions="nope"');
+
+    expect(readDataOptions(textarea)).toEqual({ toolbar: { items: ['bold'] } });
+    expect(warn).not.toHaveBeenCalled();
+
+    dom.window.__PM_DEBUG = true;
+    readDataOptions(textarea);
+    const messages = warn.mock.calls.map(([message]) => message);
+    expect(messages).toEqual([
+      '[ProseMirror] Unknown toolbar items in data-toolbar: sparkle',
+      '[ProseMirror] Unknown extensions in data-extensions: nope',
+      '[ProseMirror] Ignoring invalid data-extensions="nope"',
+      '[ProseMirror] Ignoring invalid data-height="tall"',
+      '[ProseMirror] Ignoring invalid data-readonly-toggle="maybe"',
+      '[ProseMirror] Ignoring invalid data-code-join-mode="sometimes"',
+      '[ProseMirror] Ignoring invalid data-allowed-headings="0-9"',
+      '[ProseMirror] Ignoring invalid data-sync-delay="-5"'
+    ]);
+  });
+
+  it('should parse heading lists and fixed heights', () => {
+    field('data-allowed-headings="1, 3-4" data-height="10"');
+    expect(readDataOptions(textarea)).toEqual({ headingLevels: [1, 3, 4], autoGrow: true, minRows: 10, maxRows: 10 });
+    field('data-height="auto" data-toolbar=""');
+    expect(readDataOptions(textarea)).toEqual({ autoGrow: true });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { createDirtyTracker } from '../utils/dirtyState.js';
+
+describe('Dirty state', () => {
+  let dom, document, textarea;
+
+  const typeInto = (editor, text) => {
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(text, pm.state.doc.content.size - 1));
+  };
+
+  const fireBeforeUnload = () => {
+    const event = new dom.window.Event('beforeunload', { cancelable: true });
+    dom.window.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<form><div><textarea name="body">Some *text*</textarea></div></form>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  describe('createDirtyTracker', () => {
+    it('should report transitions only', () => {
+      const onChange = vi.fn();
+      const tracker = createDirtyTracker('a', onChange);
+
+      tracker.update('a');
+      tracker.update('b');
+      tracker.update('c');
+      tracker.update('a');
+
+      expect(onChange.mock.calls).toEqual([[true], [false]]);
+    });
+
+    it('should accept equivalent renderings while clean', () => {
+      const tracker = createDirtyTracker('*a*');
+      tracker.addEquivalent('_a_');
+
+      tracker.update('_a_');
+      expect(tracker.dirty).toBe(false);
+    });
+  });
+
+  it('should start clean in both modes', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    expect(editor.isDirty()).toBe(false);
+
+    editor.switchTo('markdown');
+    expect(editor.isDirty()).toBe(false);
+  });
+
+  it('should become dirty after an edit and emit dirtychange', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const fn = vi.fn();
+    editor.on('dirtychange', fn);
+
+    textarea.value = 'Changed';
+    textarea.dispatchEvent(new dom.window.Event('input'));
+
+    expect(fn).toHaveBeenCalledWith({ dirty: true });
+    expect(editor.isDirty()).toBe(true);
+
+    textarea.value = 'Some *text*';
+    textarea.dispatchEvent(new dom.window.Event('input'));
+
+    expect(fn).toHaveBeenLastCalledWith({ dirty: false });
+  });
+
+  it('should track WYSIWYG edits once they are synced', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const fn = vi.fn();
+    editor.on('dirtychange', fn);
+
+    typeInto(editor, '!');
+    editor.view._syncToMirror(true);
+
+    expect(fn).toHaveBeenCalledWith({ dirty: true });
+    expect(editor.isDirty()).toBe(true);
+  });
+
+  it('should stay dirty across mode switches', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, '!');
+
+    editor.switchTo('markdown');
+    expect(editor.isDirty()).toBe(true);
+  });
+
+  it('should reset the baseline with markClean', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const fn = vi.fn();
+    editor.on('dirtychange', fn);
+    typeInto(editor, '!');
+    expect(editor.isDirty()).toBe(true);
+
+    editor.markClean();
+
+    expect(editor.isDirty()).toBe(false);
+    expect(fn).toHaveBeenLastCalledWith({ dirty: false });
+  });
+
+  describe('unload guard', () => {
+    it('should not guard unless enabled', () => {
+      const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+      typeInto(editor, '!');
+
+      expect(fireBeforeUnload()).toBe(false);
+    });
+
+    it('should block unload only while dirty', () => {
+      const editor = createEditor(textarea, { mode: 'prosemirror', warnOnUnload: true, preferences: false });
+      expect(fireBeforeUnload()).toBe(false);
+
+      typeInto(editor, '!');
+      expect(fireBeforeUnload()).toBe(true);
+    });
+
+    it('should disarm on submit and re-arm on the next edit', () => {
+      const editor = createEditor(textarea, { mode: 'prosemirror', warnOnUnload: true, preferences: false });
+      const form = document.querySelector('form');
+      typeInto(editor, '!');
+
+      form.dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+      expect(fireBeforeUnload()).toBe(false);
+
+      typeInto(editor, '?');
+      expect(fireBeforeUnload()).toBe(true);
+    });
+
+    it('should be removed on destroy', () => {
+      const editor = createEditor(textarea, { mode: 'markdown', warnOnUnload: true, preferences: false });
+      textarea.value = 'Changed';
+      textarea.dispatchEvent(new dom.window.Event('input'));
+
+      editor.destroy();
+      expect(fireBeforeUnload()).toBe(false);
+    });
+  });
+});
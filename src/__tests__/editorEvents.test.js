@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor } from '../index.js';
+import { createEventEmitter } from '../utils/events.js';
+
+describe('Editor events', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea id="body">Hello</textarea></div>`;
+    textarea = document.getElementById('body');
+  });
+
+  afterEach(() => {
+    // Cancel any pending debounced sync before the DOM goes away
+    textarea._editorAPI?.view.destroy();
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  describe('createEventEmitter', () => {
+    it('should subscribe and unsubscribe listeners', () => {
+      const events = createEventEmitter(null);
+      const fn = vi.fn();
+
+      const unsubscribe = events.on('change', fn);
+      events.emit('change', { markdown: 'a' });
+      unsubscribe();
+      events.emit('change', { markdown: 'b' });
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(fn).toHaveBeenCalledWith({ markdown: 'a' });
+    });
+
+    it('should keep notifying when a listener throws', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const events = createEventEmitter(null);
+      const fn = vi.fn();
+
+      events.on('change', () => { throw new Error('boom'); });
+      events.on('change', fn);
+      events.emit('change');
+
+      expect(fn).toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  it('should emit change with markdown from the WYSIWYG view', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+    const fn = vi.fn();
+    editor.on('change', fn);
+
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(' world', pm.state.doc.content.size - 1));
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn.mock.calls[0][0].markdown).toBe('Hello world');
+  });
+
+  it('should not emit change for selection-only transactions', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+    const fn = vi.fn();
+    editor.on('change', fn);
+
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.setMeta('noop', true));
+
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('should emit change from the markdown view', () => {
+    const editor = createEditor(textarea, { mode: 'markdown' });
+    const fn = vi.fn();
+    editor.on('change', fn);
+
+    textarea.value = '# Title';
+    textarea.dispatchEvent(new dom.window.Event('input'));
+
+    expect(fn).toHaveBeenCalledWith({ markdown: '# Title' });
+  });
+
+  it('should emit modechange with from and to', () => {
+    const editor = createEditor(textarea, { mode: 'markdown' });
+    const fn = vi.fn();
+    editor.on('modechange', fn);
+
+    editor.toggle();
+
+    expect(fn).toHaveBeenCalledWith({ from: 'markdown', to: 'prosemirror' });
+  });
+
+  it('should emit focus and blur in both modes', () => {
+    const editor = createEditor(textarea, { mode: 'markdown' });
+    const focus = vi.fn();
+    const blur = vi.fn();
+    editor.on('focus', focus);
+    editor.on('blur', blur);
+
+    textarea.dispatchEvent(new dom.window.FocusEvent('focus'));
+    textarea.dispatchEvent(new dom.window.FocusEvent('blur'));
+
+    editor.switchTo('prosemirror');
+    const pmDom = editor.view.view.dom;
+    pmDom.dispatchEvent(new dom.window.FocusEvent('focus'));
+    pmDom.dispatchEvent(new dom.window.FocusEvent('blur'));
+
+    expect(focus).toHaveBeenCalledTimes(2);
+    expect(blur).toHaveBeenCalledTimes(2);
+  });
+
+  it('should emit beforesync and aftersync around mirror writes', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+    const order = [];
+    editor.on('beforesync', () => order.push('before'));
+    editor.on('aftersync', (detail) => order.push(detail));
+
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText('!', pm.state.doc.content.size - 1));
+    editor.view._syncToMirror(true);
+
+    expect(order).toEqual(['before', { markdown: 'Hello!', changed: true }]);
+    expect(textarea.value).toBe('Hello!');
+  });
+
+  it('should mirror events as bubbling DOM events on the textarea', () => {
+    const editor = createEditor(textarea, { mode: 'markdown' });
+    const fn = vi.fn();
+    document.body.addEventListener('pm:modechange', fn);
+
+    editor.toggle();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn.mock.calls[0][0].target).toBe(textarea);
+    expect(fn.mock.calls[0][0].detail).toEqual({ from: 'markdown', to: 'prosemirror' });
+  });
+
+  it('should stop calling listeners removed with off', () => {
+    const editor = createEditor(textarea, { mode: 'markdown' });
+    const fn = vi.fn();
+    editor.on('modechange', fn);
+    editor.off('modechange', fn);
+
+    editor.toggle();
+
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
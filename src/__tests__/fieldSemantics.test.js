@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Form-field semantics', () => {
+  let dom, document, textarea, form;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `
+      <form>
+        <label for="body">Body</label>
+        <div><textarea id="body" name="body" required aria-describedby="body-help"></textarea></div>
+        <p id="body-help">Markdown is supported.</p>
+        <button type="submit">Save</button>
+      </form>`;
+    textarea = document.querySelector('textarea');
+    form = document.querySelector('form');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const pmDom = (editor) => editor.view.view.dom;
+  const submit = () => document.querySelector('button[type="submit"]').click();
+
+  it('should label and describe the editor like the textarea', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const label = document.querySelector('label');
+
+    expect(pmDom(editor).getAttribute('role')).toBe('textbox');
+    expect(pmDom(editor).getAttribute('aria-multiline')).toBe('true');
+    expect(pmDom(editor).getAttribute('aria-labelledby')).toBe(label.id);
+    expect(pmDom(editor).getAttribute('aria-describedby')).toBe('body-help');
+    expect(pmDom(editor).getAttribute('aria-required')).toBe('true');
+    expect(pmDom(editor).hasAttribute('aria-invalid')).toBe(false);
+  });
+
+  it('should keep existing label ids and remove generated ones on destroy', () => {
+    const label = document.querySelector('label');
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    expect(label.id).not.toBe('');
+
+    editor.destroy();
+    expect(label.hasAttribute('id')).toBe(false);
+
+    label.id = 'body-label';
+    const again = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    expect(pmDom(again).getAttribute('aria-labelledby')).toBe('body-label');
+    again.destroy();
+    expect(label.id).toBe('body-label');
+  });
+
+  it('should focus the editor when its label is clicked', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const focus = vi.spyOn(editor.view, 'focus');
+
+    document.querySelector('label').click();
+
+    expect(focus).toHaveBeenCalled();
+  });
+
+  it('should report native validation failures on the editor', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const focus = vi.spyOn(editor.view, 'focus');
+
+    submit();
+
+    const message = document.querySelector('.pm-validation-message');
+    expect(message).not.toBeNull();
+    expect(message.getAttribute('role')).toBe('alert');
+    expect(message.textContent).toBe(textarea.validationMessage);
+    expect(pmDom(editor).getAttribute('aria-invalid')).toBe('true');
+    expect(pmDom(editor).getAttribute('aria-describedby')).toBe(`body-help ${message.id}`);
+    expect(focus).toHaveBeenCalled();
+  });
+
+  it('should only focus the first invalid field', () => {
+    document.querySelector('form').insertAdjacentHTML('afterbegin', '<input name="title" required>');
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const focus = vi.spyOn(editor.view, 'focus');
+
+    submit();
+
+    expect(pmDom(editor).getAttribute('aria-invalid')).toBe('true');
+    expect(focus).not.toHaveBeenCalled();
+  });
+
+  it('should clear the error once the content is valid', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    submit();
+
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText('Hello', 1));
+    editor.view._syncToMirror(true);
+
+    expect(document.querySelector('.pm-validation-message')).toBeNull();
+    expect(pmDom(editor).hasAttribute('aria-invalid')).toBe(false);
+  });
+
+  it('should sync pending edits on blur so validation sees them', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText('Hello', 1));
+    expect(textarea.value).toBe('');
+
+    pm.dom.dispatchEvent(new dom.window.FocusEvent('blur'));
+
+    expect(textarea.value).toBe('Hello');
+    expect(form.checkValidity()).toBe(true);
+  });
+
+  it('should follow attribute changes made by the host', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+
+    textarea.required = false;
+    textarea.setAttribute('aria-invalid', 'true');
+    await flush();
+
+    expect(pmDom(editor).hasAttribute('aria-required')).toBe(false);
+    expect(pmDom(editor).getAttribute('aria-invalid')).toBe('true');
+  });
+
+  it('should leave markdown mode to the native textarea', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    submit();
+
+    expect(document.querySelector('.pm-validation-message')).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { undoDepth } from 'prosemirror-history';
+import { createEditor, destroyEditor } from '../index.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Form reset', () => {
+  let dom, document, textarea, form;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<form><div><textarea name="body">Original *text*</textarea></div></form>`;
+    textarea = document.querySelector('textarea');
+    form = document.querySelector('form');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const typeInto = (editor, text) => {
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(text, pm.state.doc.content.size - 1));
+  };
+
+  it('should reload the WYSIWYG document from the default value', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' edited');
+    editor.view._syncToMirror(true);
+
+    form.reset();
+    await flush();
+
+    expect(editor.mode).toBe('prosemirror');
+    expect(editor.view.view.state.doc.textContent).toBe('Original text');
+    expect(textarea.value).toBe('Original *text*');
+  });
+
+  it('should not let a pending sync overwrite the reset', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' edited');
+
+    form.reset();
+    await flush();
+    editor.view._syncToMirror(true);
+
+    expect(textarea.value).toBe('Original *text*');
+  });
+
+  it('should clear dirty state and undo history', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const onDirty = vi.fn();
+    editor.on('dirtychange', onDirty);
+    typeInto(editor, ' edited');
+    expect(editor.isDirty()).toBe(true);
+
+    form.reset();
+    await flush();
+
+    expect(editor.isDirty()).toBe(false);
+    expect(onDirty).toHaveBeenLastCalledWith({ dirty: false });
+    expect(undoDepth(editor.view.view.state)).toBe(0);
+  });
+
+  it('should reset markdown mode too', async () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    textarea.value = 'Changed';
+    textarea.dispatchEvent(new dom.window.Event('input'));
+
+    form.reset();
+    await flush();
+
+    expect(editor.mode).toBe('markdown');
+    expect(editor.content).toBe('Original *text*');
+    expect(editor.isDirty()).toBe(false);
+  });
+
+  it('should ignore a cancelled reset', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' edited');
+    form.addEventListener('reset', (e) => e.preventDefault());
+
+    form.reset();
+    await flush();
+
+    expect(editor.view.view.state.doc.textContent).toBe('Original text edited');
+  });
+
+  it('should expose reset() on the instance', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' edited');
+
+    editor.reset();
+
+    expect(editor.content).toBe('Original *text*');
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { TextSelection } from 'prosemirror-state';
+import { createEditor, destroyEditor } from '../index.js';
+import { TOOLBAR_ITEMS } from '../ui/toolbarItems.js';
+
+describe('Fullscreen mode', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+    dom.window.scrollTo = vi.fn();
+
+    document.body.innerHTML = `<form><div class="field"><label for="body">Body</label><textarea id="body" name="body">First paragraph\n\nSecond paragraph</textarea></div></form>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const frame = () => document.querySelector('.pm-fullscreen');
+  const fullscreenButton = () => document.querySelector(`button[title="${TOOLBAR_ITEMS.fullscreen.title}"]`);
+  const press = (target, init) => {
+    const event = new dom.window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+  const shortcut = { key: 'F', code: 'KeyF', ctrlKey: true, shiftKey: true };
+
+  it('should only add the button when enabled', () => {
+    createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    expect(fullscreenButton()).toBeNull();
+  });
+
+  it('should move the WYSIWYG editor into a fixed frame and back', () => {
+    const field = document.querySelector('.field');
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, fullscreen: true });
+    const container = document.querySelector('.pm-editor-container');
+
+    fullscreenButton().click();
+
+    expect(editor.fullscreen).toBe(true);
+    expect(frame().parentElement).toBe(field);
+    expect(container.parentElement).toBe(frame());
+    expect(textarea.closest('form')).not.toBeNull();
+    expect(document.documentElement.classList.contains('pm-fullscreen-open')).toBe(true);
+    expect(fullscreenButton().getAttribute('aria-pressed')).toBe('true');
+
+    fullscreenButton().click();
+
+    expect(frame()).toBeNull();
+    expect(container.parentElement).toBe(field);
+    expect(container.nextElementSibling).toBe(textarea);
+    expect(document.documentElement.classList.contains('pm-fullscreen-open')).toBe(false);
+    expect(fullscreenButton().getAttribute('aria-pressed')).toBe('false');
+  });
+
+  it('should take the markdown toolbar and textarea along', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, fullscreen: true });
+    const toolbar = document.querySelector('.pm-markdown-toolbar');
+
+    press(textarea, shortcut);
+
+    expect(editor.fullscreen).toBe(true);
+    expect(Array.from(frame().children)).toEqual([toolbar, textarea]);
+  });
+
+  it('should keep the button enabled while read-only', () => {
+    textarea.setAttribute('readonly', '');
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, fullscreen: true });
+    const others = () => Array.from(document.querySelectorAll('.pm-toolbar button, .pm-toolbar select'))
+      .filter((control) => control !== fullscreenButton());
+
+    expect(fullscreenButton().disabled).toBe(false);
+    expect(others().every((control) => control.disabled)).toBe(true);
+    fullscreenButton().click();
+    expect(editor.fullscreen).toBe(true);
+
+    editor.switchTo('markdown');
+    expect(fullscreenButton().disabled).toBe(false);
+    expect(others().every((control) => control.disabled)).toBe(true);
+    fullscreenButton().click();
+    expect(editor.fullscreen).toBe(false);
+  });
+
+  it('should exit on Escape and restore the scroll position', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, fullscreen: true });
+    Object.defineProperty(dom.window, 'scrollY', { value: 420, configurable: true });
+    editor.toggleFullscreen();
+
+    const event = press(editor.view.view.dom, { key: 'Escape' });
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(editor.fullscreen).toBe(false);
+    expect(dom.window.scrollTo).toHaveBeenLastCalledWith(0, 420);
+  });
+
+  it('should ignore keys from outside the editor', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, fullscreen: true });
+    press(document.querySelector('label'), shortcut);
+    expect(editor.fullscreen).toBe(false);
+  });
+
+  it('should stay fullscreen across mode switches', () => {
+    const field = document.querySelector('.field');
+    const before = field.innerHTML;
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, fullscreen: true });
+    editor.toggleFullscreen();
+
+    editor.switchTo('prosemirror');
+    expect(document.querySelector('.pm-editor-container').parentElement).toBe(frame());
+    editor.switchTo('split');
+    expect(document.querySelector('.pm-split').parentElement).toBe(frame());
+    expect(editor.fullscreen).toBe(true);
+
+    editor.destroy();
+    expect(frame()).toBeNull();
+    expect(field.innerHTML).toBe(before);
+  });
+
+  it('should emit fullscreenchange', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, fullscreen: true });
+    const onChange = vi.fn();
+    editor.on('fullscreenchange', onChange);
+
+    editor.toggleFullscreen();
+    editor.toggleFullscreen();
+
+    expect(onChange.mock.calls).toEqual([[{ fullscreen: true }], [{ fullscreen: false }]]);
+  });
+
+  it('should mark the block with the caret when dimming', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, fullscreen: { dimInactive: true } });
+    const pm = editor.view.view;
+    editor.toggleFullscreen();
+
+    pm.dispatch(pm.state.tr.setSelection(TextSelection.create(pm.state.doc, pm.state.doc.content.size - 2)));
+
+    expect(frame().classList.contains('pm-fullscreen-dim')).toBe(true);
+    const current = pm.dom.querySelectorAll('.pm-current-block');
+    expect(current).toHaveLength(1);
+    expect(current[0].textContent).toBe('Second paragraph');
+  });
+});
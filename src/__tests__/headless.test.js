@@ -0,0 +1,63 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { normalizeMarkdown, createMarkdownNormalizer } from '../headless.js';
+import { EXTENSIONS } from '../extensions/registry.js';
+
+const identity = { name: 'identity', enhanceSerializer: (serializer) => serializer };
+
+describe('normalizeMarkdown', () => {
+  it('should run without a DOM', () => {
+    expect(typeof document.createElement).toBe('undefined');
+    expect(normalizeMarkdown('Hello *world*').markdown).toBe('Hello *world*');
+  });
+
+  it('should return the markdown the editor would save', () => {
+    const result = normalizeMarkdown('Title\n===\n\n+ one\n+ two\n\n__bold__ and ~~struck~~');
+    expect(result.markdown).toBe('# Title\n\n* one\n* two\n\n**bold** and ~~struck~~');
+    expect(result.changed).toBe(true);
+    expect(result.diagnostics).toEqual([]);
+  });
+
+  it('should leave canonical markdown alone', () => {
+    const result = normalizeMarkdown('# Title\n\n| a | b |\n|---|---|\n| 1 | 2 |');
+    expect(result.changed).toBe(false);
+  });
+
+  it('should apply the default extensions and text processing', () => {
+    expect(normalizeMarkdown('Run <script>alert(1)</script>').markdown).toBe('Run &lt;script>alert(1)</script>');
+    expect(normalizeMarkdown('Run <script>x</script>', { textProcessing: identity }).markdown).toBe('Run <script>x</script>');
+  });
+
+  it('should read CRLF line endings as a textarea would', () => {
+    const result = normalizeMarkdown('one\r\n\r\ntwo');
+    expect(result.markdown).toBe('one\n\ntwo');
+    expect(result.changed).toBe(true);
+  });
+
+  it('should accept extensions by registry entry', () => {
+    const normalize = createMarkdownNormalizer({ extensions: [EXTENSIONS.tagfilter] });
+    expect(normalize('a').markdown).toBe('a');
+    expect(normalize('b\n').markdown).toBe('b');
+  });
+
+  it('should fall back to plain text when serialization fails', () => {
+    const failing = { name: 'failing', enhanceSerializer: () => ({ serialize() { throw new Error('boom'); } }) };
+    const result = normalizeMarkdown('Some *text*', { textProcessing: failing });
+    expect(result.markdown).toBe('Some text');
+    expect(result.diagnostics).toEqual([expect.objectContaining({ level: 'error', code: 'serialize-error' })]);
+  });
+
+  it('should warn when the result would drift on every save', () => {
+    const drifting = {
+      name: 'drifting',
+      enhanceSerializer(serializer) {
+        const serialize = serializer.serialize.bind(serializer);
+        serializer.serialize = (doc) => serialize(doc).replace(/^Last/m, 'Last!');
+        return serializer;
+      }
+    };
+    const result = normalizeMarkdown('First\n\nLast', { textProcessing: drifting });
+    expect(result.markdown).toBe('First\n\nLast!');
+    expect(result.diagnostics).toEqual([expect.objectContaining({ level: 'warning', code: 'unstable', line: 3 })]);
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { defineMarkdownEditor } from '../index.js';
+import { EXTENSIONS, DEFAULT_EXTENSIONS, resolveExtensions } from '../extensions/registry.js';
+
+// JSDOM has attachInternals() but none of the form parts of ElementInternals
+function fakeInternals(host) {
+  let flags = {};
+  let message = '';
+  return {
+    value: null,
+    anchor: null,
+    get form() { return host.closest('form'); },
+    get labels() { return host.id ? Array.from(host.ownerDocument.querySelectorAll(`label[for="${host.id}"]`)) : []; },
+    setFormValue(value) { this.value = value; },
+    setValidity(nextFlags = {}, nextMessage = '', anchor = null) {
+      flags = { valueMissing: nextFlags.valueMissing, tooLong: nextFlags.tooLong, tooShort: nextFlags.tooShort };
+      message = nextMessage;
+      this.anchor = anchor;
+    },
+    get validity() { return { ...flags, valid: !Object.values(flags).some(Boolean) }; },
+    get validationMessage() { return message; },
+    get willValidate() { return true; },
+    checkValidity() { return this.validity.valid; },
+    reportValidity() { return this.validity.valid; }
+  };
+}
+
+describe('<markdown-editor>', () => {
+  let dom, document;
+  const internals = new WeakMap();
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+    // The element keeps its internals private; the tests look at them through here
+    dom.window.HTMLElement.prototype.attachInternals = function () {
+      const fake = fakeInternals(this);
+      internals.set(this, fake);
+      return fake;
+    };
+    defineMarkdownEditor('markdown-editor', dom.window);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const render = (html) => {
+    document.body.innerHTML = `<form>${html}</form>`;
+    return document.querySelector('markdown-editor');
+  };
+
+  it('should render the editor around its text content', () => {
+    const el = render(`<markdown-editor name="body" mode="markdown">\n# Hello</markdown-editor>`);
+    const textarea = el.querySelector('.pm-markdown-editor textarea');
+
+    expect(el.editor.mode).toBe('markdown');
+    expect(textarea.value).toBe('# Hello');
+    expect(textarea.form).toBeNull();
+    expect(el.value).toBe('# Hello');
+    expect(internals.get(el).value).toBe('# Hello');
+    expect(el.internals).toBeUndefined();
+    expect(el.form).toBe(document.querySelector('form'));
+  });
+
+  it('should give the form the current value', () => {
+    const el = render(`<markdown-editor name="body" mode="markdown">Old</markdown-editor>`);
+    const textarea = el.querySelector('textarea');
+
+    textarea.value = 'Typed';
+    textarea.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    expect(internals.get(el).value).toBe('Typed');
+
+    el.value = 'Set';
+    expect(textarea.value).toBe('Set');
+    expect(internals.get(el).value).toBe('Set');
+  });
+
+  it('should flush WYSIWYG edits before the form submits', () => {
+    const el = render(`<markdown-editor name="body" mode="prosemirror">Text</markdown-editor>`);
+    const pm = el.editor.view.view;
+    pm.dispatch(pm.state.tr.insertText('!', pm.state.doc.content.size - 1));
+    expect(internals.get(el).value).toBe('Text');
+
+    document.querySelector('form').dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+
+    expect(internals.get(el).value).toBe('Text!');
+  });
+
+  it('should report constraint validation through ElementInternals', () => {
+    const el = render(`<markdown-editor name="body" mode="prosemirror" required></markdown-editor>`);
+    expect(el.checkValidity()).toBe(false);
+    expect(el.validity.valueMissing).toBe(true);
+    expect(internals.get(el).anchor).toBe(el.editor.view.view.dom);
+
+    el.value = 'Filled in';
+    expect(el.checkValidity()).toBe(true);
+
+    el.removeAttribute('required');
+    el.value = '';
+    expect(el.checkValidity()).toBe(true);
+  });
+
+  it('should reset to its initial content', () => {
+    const el = render(`<markdown-editor name="body" mode="markdown">Initial</markdown-editor>`);
+    el.value = 'Changed';
+
+    el.formResetCallback();
+
+    expect(el.value).toBe('Initial');
+    expect(internals.get(el).value).toBe('Initial');
+    expect(el.editor.isDirty()).toBe(false);
+  });
+
+  it('should reset once when its form is reset', async () => {
+    const el = render(`<markdown-editor name="body" mode="markdown">Initial</markdown-editor>`);
+    el.value = 'Changed';
+    const onChange = vi.fn();
+    el.editor.on('change', onChange);
+
+    // What a browser does: the reset event, then formResetCallback() on each control
+    document.querySelector('form').reset();
+    el.formResetCallback();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(el.value).toBe('Initial');
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should follow the disabled state of the form', async () => {
+    const el = render(`<markdown-editor name="body" mode="prosemirror">Text</markdown-editor>`);
+
+    el.formDisabledCallback(true);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(el.querySelector('textarea').disabled).toBe(true);
+    expect(el.editor.view.view.editable).toBe(false);
+  });
+
+  it('should map attributes to editor options', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    dom.window.__PM_DEBUG = true;
+    const el = render(`<markdown-editor mode="markdown" toolbar="false" extensions="default tableRowLineBreaks nope" placeholder="Write"></markdown-editor>`);
+
+    expect(el.querySelector('.pm-toolbar')).toBeNull();
+    expect(el.editor.options.extensions).toContain(EXTENSIONS.tableRowLineBreaks);
+    expect(el.querySelector('textarea').placeholder).toBe('Write');
+    expect(warn.mock.calls.some(([message]) => message.includes('nope'))).toBe(true);
+
+    el.setAttribute('mode', 'prosemirror');
+    expect(el.editor.mode).toBe('prosemirror');
+    warn.mockRestore();
+  });
+
+  it('should keep the default extensions when none of the names resolve', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const el = render(`<markdown-editor mode="markdown" extensions="nope"></markdown-editor>`);
+
+    expect(el.editor.options.extensions).toBeUndefined();
+    expect(warn).not.toHaveBeenCalled();
+
+    dom.window.__PM_DEBUG = true;
+    render(`<markdown-editor mode="markdown" extensions="nope"></markdown-editor>`);
+    expect(warn.mock.calls.some(([message]) => message.includes('keeping the defaults'))).toBe(true);
+    warn.mockRestore();
+  });
+
+  it('should render into a shadow root when asked', () => {
+    const el = render(`<markdown-editor name="body" shadow stylesheet="/dist/prosemirror-bundle.css">Text</markdown-editor>`);
+
+    expect(el.childNodes).toHaveLength(0);
+    expect(el.shadowRoot.querySelector('link').getAttribute('href')).toBe('/dist/prosemirror-bundle.css');
+    expect(el.shadowRoot.querySelector('.ProseMirror')).not.toBeNull();
+    expect(el.value).toBe('Text');
+  });
+
+  it('should fire change on blur after an edit', () => {
+    const el = render(`<markdown-editor name="body" mode="markdown">Text</markdown-editor>`);
+    const textarea = el.querySelector('textarea');
+    const onChange = vi.fn();
+    el.addEventListener('change', onChange);
+
+    textarea.dispatchEvent(new dom.window.FocusEvent('focus'));
+    textarea.value = 'Edited';
+    textarea.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    textarea.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    textarea.dispatchEvent(new dom.window.FocusEvent('blur'));
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0].target).toBe(el);
+  });
+
+  it('should keep its value when moved', () => {
+    const el = render(`<markdown-editor name="body" mode="markdown">Text</markdown-editor>`);
+    el.value = 'Kept';
+    const first = el.editor;
+
+    document.body.appendChild(el);
+
+    expect(first.destroyed).toBe(true);
+    expect(el.editor).not.toBe(first);
+    expect(el.value).toBe('Kept');
+    expect(el.querySelectorAll('textarea')).toHaveLength(1);
+  });
+});
+
+describe('Extension registry', () => {
+  it('should resolve names and the default set', () => {
+    const { extensions, unknown } = resolveExtensions('default, tagfilter tableRowLineBreaks missing');
+    expect(extensions).toEqual([...DEFAULT_EXTENSIONS, EXTENSIONS.tableRowLineBreaks]);
+    expect(unknown).toEqual(['missing']);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import {
+  toggleWrap, insertLink, setHeading, toggleList, toggleCodeFence,
+  continueList, indentListItems, outdentListItems, autoPair
+} from '../commands/textarea.js';
+
+// "|" marks the caret; "[" ... "]" would be ambiguous with markdown, so ranges use « »
+const state = (text) => {
+  if (text.includes('«')) {
+    const from = text.indexOf('«');
+    const to = text.indexOf('»') - 1;
+    return { value: text.replace('«', '').replace('»', ''), from, to };
+  }
+  const at = text.indexOf('|');
+  return { value: text.replace('|', ''), from: at, to: at };
+};
+
+const show = (result) => {
+  if (!result) return result;
+  const { value, from, to } = result;
+  if (from === to) return value.slice(0, from) + '|' + value.slice(from);
+  return value.slice(0, from) + '«' + value.slice(from, to) + '»' + value.slice(to);
+};
+
+describe('Textarea commands', () => {
+  it('should toggle inline delimiters around the selection', () => {
+    expect(show(toggleWrap('**')(state('Some «word» here')))).toBe('Some **«word»** here');
+    expect(show(toggleWrap('**')(state('Some **«word»** here')))).toBe('Some «word» here');
+    expect(show(toggleWrap('**')(state('Some «**word**» here')))).toBe('Some «word» here');
+    expect(show(toggleWrap('`')(state('a |b')))).toBe('a `|`b');
+  });
+
+  it('should insert links', () => {
+    expect(show(insertLink(state('See «docs» now')))).toBe('See [docs](|) now');
+    expect(show(insertLink(state('See |')))).toBe('See [|]()');
+  });
+
+  it('should toggle headings on the current line', () => {
+    expect(show(setHeading(2)(state('Ti|tle\nnext')))).toBe('## Ti|tle\nnext');
+    expect(show(setHeading(2)(state('## Ti|tle')))).toBe('Ti|tle');
+    expect(show(setHeading(1)(state('### Ti|tle')))).toBe('# Ti|tle');
+  });
+
+  it('should toggle lists on every selected line', () => {
+    expect(show(toggleList(false)(state('«one\ntwo»')))).toBe('«- one\n- two»');
+    expect(show(toggleList(false)(state('«- one\n- two»')))).toBe('«one\ntwo»');
+    expect(show(toggleList(true)(state('«- one\n- two»')))).toBe('«1. one\n2. two»');
+  });
+
+  it('should fence and unfence code', () => {
+    expect(toggleCodeFence(state('let |x')).value).toBe('```\nlet x\n```');
+    expect(show(toggleCodeFence(state('```\nlet |x\n```')))).toBe('let |x');
+  });
+
+  it('should continue lists on Enter', () => {
+    expect(show(continueList(state('- one|')))).toBe('- one\n- |');
+    expect(show(continueList(state('9. nine|')))).toBe('9. nine\n10. |');
+    expect(show(continueList(state('- [x] done|')))).toBe('- [x] done\n- [ ] |');
+    expect(show(continueList(state('> quote|')))).toBe('> quote\n> |');
+    expect(show(continueList(state('  * nested|')))).toBe('  * nested\n  * |');
+  });
+
+  it('should end the list on an empty item', () => {
+    expect(show(continueList(state('- one\n- |')))).toBe('- one\n|');
+  });
+
+  it('should leave Enter alone outside lists or before the marker', () => {
+    expect(continueList(state('plain|'))).toBeNull();
+    expect(continueList(state('|- one'))).toBeNull();
+  });
+
+  it('should leave Enter alone inside code fences', () => {
+    expect(continueList(state('```\n- one|\n```'))).toBeNull();
+    expect(continueList(state('~~~\n> quote|'))).toBeNull();
+    expect(show(continueList(state('```\ncode\n```\n- one|')))).toBe('```\ncode\n```\n- one\n- |');
+  });
+
+  it('should indent and outdent list items by one level', () => {
+    expect(show(indentListItems(state('- one\n- tw|o')))).toBe('- one\n  - tw|o');
+    expect(show(outdentListItems(state('- one\n  - tw|o')))).toBe('- one\n- tw|o');
+    expect(show(indentListItems(state('10. t|en')))).toBe('    10. t|en');
+    expect(indentListItems(state('plain|'))).toBeNull();
+    expect(outdentListItems(state('- top|'))).toBeNull();
+  });
+
+  it('should pair brackets and wrap selections', () => {
+    expect(show(autoPair('(')(state('a |')))).toBe('a (|)');
+    expect(autoPair('(')(state('a |b'))).toBeNull();
+    expect(show(autoPair(')')(state('a (|)')))).toBe('a ()|');
+    expect(show(autoPair('_')(state('a «b»')))).toBe('a _«b»_');
+  });
+});
+
+describe('Markdown mode shortcuts', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea name="body">- first</textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const pressKey = (key, init = {}) => {
+    const event = new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    textarea.dispatchEvent(event);
+    return event;
+  };
+
+  const caretAtEnd = () => textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+
+  it('should continue a list on Enter and emit a change', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const onChange = vi.fn();
+    editor.on('change', onChange);
+    caretAtEnd();
+
+    const event = pressKey('Enter', { code: 'Enter' });
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(textarea.value).toBe('- first\n- ');
+    expect(textarea.selectionStart).toBe(textarea.value.length);
+    expect(onChange).toHaveBeenCalledWith({ markdown: '- first\n- ' });
+  });
+
+  it('should bold the selection with Mod-B', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    textarea.setSelectionRange(2, 7);
+
+    pressKey('b', { code: 'KeyB', ctrlKey: true });
+
+    expect(textarea.value).toBe('- **first**');
+    expect(textarea.value.slice(textarea.selectionStart, textarea.selectionEnd)).toBe('first');
+  });
+
+  it('should use the physical key for shifted heading shortcuts', () => {
+    textarea.value = 'Title';
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    caretAtEnd();
+
+    pressKey('@', { code: 'Digit2', ctrlKey: true, shiftKey: true });
+
+    expect(textarea.value).toBe('## Title');
+  });
+
+  it('should let unbound keys through', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    caretAtEnd();
+
+    expect(pressKey('q', { code: 'KeyQ', ctrlKey: true }).defaultPrevented).toBe(false);
+    expect(pressKey('a', { code: 'KeyA' }).defaultPrevented).toBe(false);
+    expect(textarea.value).toBe('- first');
+  });
+
+  it('should do nothing while read-only', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    editor.setReadOnly(true);
+    caretAtEnd();
+
+    pressKey('Enter', { code: 'Enter' });
+
+    expect(textarea.value).toBe('- first');
+  });
+
+  it('should respect markdownShortcuts options', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false, markdownShortcuts: { autoPair: false } });
+    caretAtEnd();
+
+    expect(pressKey('(', { code: 'Digit9', shiftKey: true }).defaultPrevented).toBe(false);
+    pressKey('Enter', { code: 'Enter' });
+    expect(textarea.value).toBe('- first\n- ');
+  });
+
+  it('should be disabled with markdownShortcuts: false', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false, markdownShortcuts: false });
+    caretAtEnd();
+
+    pressKey('Enter', { code: 'Enter' });
+
+    expect(textarea.value).toBe('- first');
+  });
+});
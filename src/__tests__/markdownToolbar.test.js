@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { TOOLBAR_ITEMS } from '../ui/toolbarItems.js';
+import { findWrapSpan, headingLevel, isInCodeFence, isLinkActive, toggleWrap } from '../commands/textarea.js';
+
+describe('Markdown mode toolbar', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea name="body">Some **bold** text</textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const toolbar = () => document.querySelector('.pm-markdown-toolbar');
+  const button = (item) => toolbar().querySelector(`button[title="${TOOLBAR_ITEMS[item].title}"]`);
+  const select = () => toolbar().querySelector('select');
+  const moveCaret = (from, to = from) => {
+    textarea.setSelectionRange(from, to);
+    textarea.dispatchEvent(new dom.window.Event('keyup'));
+  };
+
+  it('should render before the textarea in markdown mode only', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    expect(toolbar().nextElementSibling).toBe(textarea);
+    expect(toolbar().getAttribute('role')).toBe('toolbar');
+
+    editor.switchTo('prosemirror');
+    expect(toolbar()).toBeNull();
+    expect(document.querySelectorAll('.pm-toolbar')).toHaveLength(1);
+
+    editor.switchTo('markdown');
+    expect(toolbar()).not.toBeNull();
+  });
+
+  it('should use the same items as the WYSIWYG toolbar', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const titles = (root) => Array.from(root.querySelectorAll('button')).map((b) => b.title);
+    const wysiwyg = titles(document.querySelector('.pm-toolbar'));
+
+    editor.switchTo('markdown');
+
+    expect(titles(toolbar()).length).toBeGreaterThan(0);
+    expect(titles(toolbar()).every((title) => wysiwyg.includes(title))).toBe(true);
+  });
+
+  it('should not render with toolbar: false', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false, toolbar: false });
+    expect(toolbar()).toBeNull();
+  });
+
+  it('should mark bold active when the caret is inside a bold span', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+
+    moveCaret(textarea.value.indexOf('old'));
+    expect(button('bold').getAttribute('aria-pressed')).toBe('true');
+
+    moveCaret(textarea.value.indexOf('text'));
+    expect(button('bold').getAttribute('aria-pressed')).toBe('false');
+  });
+
+  it('should unwrap bold from anywhere inside the span', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    moveCaret(textarea.value.indexOf('old'));
+
+    button('bold').click();
+
+    expect(textarea.value).toBe('Some bold text');
+    expect(button('bold').classList.contains('active')).toBe(false);
+  });
+
+  it('should apply list and quote syntax to the selected lines', () => {
+    textarea.value = 'one\ntwo';
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    moveCaret(0, textarea.value.length);
+
+    button('bulletList').click();
+    expect(textarea.value).toBe('- one\n- two');
+    expect(button('bulletList').getAttribute('aria-pressed')).toBe('true');
+
+    button('blockquote').click();
+    expect(textarea.value).toBe('> - one\n> - two');
+  });
+
+  it('should emit change when a button edits the text', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const onChange = vi.fn();
+    editor.on('change', onChange);
+    moveCaret(0, 4);
+
+    button('italic').click();
+
+    expect(onChange).toHaveBeenCalledWith({ markdown: '*Some* **bold** text' });
+  });
+
+  it('should reflect and set the heading level', () => {
+    textarea.value = '## Title\n\nBody';
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+
+    moveCaret(4);
+    expect(select().value).toBe('h2');
+
+    select().value = 'h3';
+    select().dispatchEvent(new dom.window.Event('change'));
+    expect(textarea.value).toBe('### Title\n\nBody');
+
+    select().value = 'p';
+    select().dispatchEvent(new dom.window.Event('change'));
+    expect(textarea.value).toBe('Title\n\nBody');
+  });
+
+  it('should disable controls while read-only', async () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    textarea.setAttribute('readonly', '');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const controls = Array.from(toolbar().querySelectorAll('button, select'));
+    expect(controls.every((control) => control.disabled)).toBe(true);
+    expect(toolbar().classList.contains('pm-toolbar-readonly')).toBe(true);
+  });
+
+  describe('active states', () => {
+    const at = (text) => ({ value: text.replace('|', ''), from: text.indexOf('|'), to: text.indexOf('|') });
+
+    it('should tell italic from bold', () => {
+      expect(findWrapSpan(at('a *it|* **b**'), '*')).not.toBeNull();
+      expect(findWrapSpan(at('a *it* **b|**'), '*')).toBeNull();
+      expect(findWrapSpan(at('a ***bo|th***'), '**')).toBeNull();
+    });
+
+    it('should read headings, links and fences', () => {
+      expect(headingLevel(at('#### Ti|tle'))).toBe(4);
+      expect(headingLevel(at('#no|t a heading'))).toBe(0);
+      expect(isLinkActive(at('see [do|cs](url)'))).toBe(true);
+      expect(isInCodeFence(at('```\ncode|\n```\nafter'))).toBe(true);
+      expect(isInCodeFence(at('```\ncode\n```\naf|ter'))).toBe(false);
+    });
+
+    it('should unwrap italic inside bold italic', () => {
+      const result = toggleWrap('*')({ value: 'a ***x*** b', from: 5, to: 6 });
+      expect(result.value).toBe('a **x** b');
+    });
+  });
+});
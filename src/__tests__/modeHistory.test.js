@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { undo, undoDepth } from 'prosemirror-history';
+import { createEditor, destroyEditor } from '../index.js';
+import { createModeHistory } from '../utils/modeHistory.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Undo across mode toggles', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<form><div><textarea name="body">Start</textarea></div></form>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const typeInto = (editor, text) => {
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(text, pm.state.doc.content.size - 1));
+  };
+
+  const typeInTextarea = (value) => {
+    textarea.value = value;
+    textarea.dispatchEvent(new dom.window.Event('input'));
+  };
+
+  const pressKey = (target, key, init = {}) => {
+    const event = new dom.window.KeyboardEvent('keydown', { key, ctrlKey: true, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  describe('createModeHistory', () => {
+    it('should only checkpoint segments that changed something', () => {
+      const history = createModeHistory();
+      history.rebase({ markdown: 'a' });
+
+      history.checkpoint({ markdown: 'a' });
+      expect(history.canUndo).toBe(false);
+
+      history.checkpoint({ markdown: 'b' });
+      expect(history.canUndo).toBe(true);
+    });
+
+    it('should step back and forth through checkpoints', () => {
+      const restore = vi.fn();
+      const history = createModeHistory({ restore });
+      history.rebase({ markdown: 'a' });
+      history.checkpoint({ markdown: 'b' });
+
+      history.undo({ markdown: 'b' });
+      expect(restore).toHaveBeenLastCalledWith({ markdown: 'a' });
+      expect(history.canRedo).toBe(true);
+
+      history.redo({ markdown: 'a' });
+      expect(restore).toHaveBeenLastCalledWith({ markdown: 'b' });
+    });
+
+    it('should drop redo steps after an edit', () => {
+      const history = createModeHistory();
+      history.rebase({ markdown: 'a' });
+      history.checkpoint({ markdown: 'b' });
+      history.undo({ markdown: 'b' });
+
+      history.edited();
+      expect(history.canRedo).toBe(false);
+    });
+  });
+
+  it('should undo WYSIWYG edits from markdown mode', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' typed');
+
+    editor.switchTo('markdown');
+    expect(textarea.value).toBe('Start typed');
+
+    pressKey(textarea, 'z');
+    await flush();
+
+    expect(editor.mode).toBe('markdown');
+    expect(textarea.value).toBe('Start');
+  });
+
+  it('should let the native textarea undo first', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' typed');
+    editor.switchTo('markdown');
+
+    pressKey(textarea, 'z');
+    textarea.dispatchEvent(new dom.window.InputEvent('beforeinput', { inputType: 'historyUndo' }));
+    await flush();
+
+    expect(textarea.value).toBe('Start typed');
+  });
+
+  it('should undo markdown edits from WYSIWYG mode once its own history is empty', async () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    typeInTextarea('Start **bold**');
+    editor.switchTo('prosemirror');
+    typeInto(editor, '!');
+
+    const pm = editor.view.view;
+    undo(pm.state, pm.dispatch);
+    expect(undoDepth(pm.state)).toBe(0);
+    expect(editor.content).toBe('Start **bold**');
+
+    pressKey(pm.dom, 'z');
+    await flush();
+
+    expect(editor.mode).toBe('prosemirror');
+    expect(editor.content).toBe('Start');
+  });
+
+  it('should redo a checkpoint', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' typed');
+    editor.switchTo('markdown');
+
+    pressKey(textarea, 'z');
+    await flush();
+    pressKey(textarea, 'z', { shiftKey: true });
+    await flush();
+
+    expect(textarea.value).toBe('Start typed');
+  });
+
+  it('should undo back through several switches', async () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    typeInTextarea('Start one');
+    editor.switchTo('prosemirror');
+    typeInto(editor, ' two');
+    editor.switchTo('markdown');
+
+    pressKey(textarea, 'z');
+    await flush();
+    expect(textarea.value).toBe('Start one');
+
+    pressKey(textarea, 'z');
+    await flush();
+    expect(textarea.value).toBe('Start');
+  });
+
+  it('should keep the dirty state accurate', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' typed');
+    editor.switchTo('markdown');
+    expect(editor.isDirty()).toBe(true);
+
+    pressKey(textarea, 'z');
+    await flush();
+
+    expect(editor.isDirty()).toBe(false);
+  });
+
+  it('should not restore checkpoints while read-only', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' typed');
+    editor.switchTo('markdown');
+    editor.setReadOnly(true);
+
+    pressKey(textarea, 'z');
+    await flush();
+
+    expect(textarea.value).toBe('Start typed');
+  });
+
+  it('should forget checkpoints on form reset', async () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    typeInto(editor, ' typed');
+    editor.switchTo('markdown');
+
+    editor.reset();
+    pressKey(textarea, 'z');
+    await flush();
+
+    expect(textarea.value).toBe('Start');
+    expect(editor.isDirty()).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { bindModePreference, createLocalStorageStore, preferenceKeyFor } from '../utils/preferences.js';
+
+const memoryStore = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    get: (key) => data[key] ?? null,
+    set: (key, value) => { data[key] = value; }
+  };
+};
+
+describe('Mode preferences', () => {
+  let dom, document;
+
+  beforeEach(() => {
+    // A real origin so window.localStorage is available
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`, { url: 'https://example.test/' });
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+  });
+
+  afterEach(() => {
+    document.querySelectorAll('textarea').forEach((ta) => destroyEditor(ta));
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  describe('preferenceKeyFor', () => {
+    it('should prefer data-editor-key, then name, then id', () => {
+      document.body.innerHTML = `
+        <textarea id="a" name="body" data-editor-key="post-body"></textarea>
+        <textarea id="b" name="summary"></textarea>
+        <textarea id="c"></textarea>
+        <textarea></textarea>
+      `;
+      const keys = Array.from(document.querySelectorAll('textarea')).map(preferenceKeyFor);
+      expect(keys).toEqual(['post-body', 'summary', 'c', null]);
+    });
+  });
+
+  describe('bindModePreference', () => {
+    it('should be disabled for unkeyed fields or when turned off', () => {
+      document.body.innerHTML = `<textarea></textarea><textarea name="x"></textarea>`;
+      const [unkeyed, keyed] = document.querySelectorAll('textarea');
+
+      expect(bindModePreference(unkeyed)).toBeNull();
+      expect(bindModePreference(keyed, false)).toBeNull();
+    });
+
+    it('should swallow storage errors', () => {
+      const storage = {
+        getItem: () => { throw new Error('blocked'); },
+        setItem: () => { throw new Error('quota'); }
+      };
+      const store = createLocalStorageStore(storage);
+
+      expect(store.get('k')).toBeNull();
+      expect(() => store.set('k', 'markdown')).not.toThrow();
+    });
+  });
+
+  it('should use the remembered mode over data attributes', () => {
+    document.body.innerHTML = `<div><textarea name="body" data-editor-mode="prosemirror">Hi</textarea></div>`;
+    const store = memoryStore({ body: 'markdown' });
+
+    const editor = createEditor(document.querySelector('textarea'), { preferences: store });
+
+    expect(editor.mode).toBe('markdown');
+  });
+
+  it('should ignore invalid remembered modes', () => {
+    document.body.innerHTML = `<div><textarea name="body" data-editor-mode="markdown">Hi</textarea></div>`;
+    const store = memoryStore({ body: 'nonsense' });
+
+    const editor = createEditor(document.querySelector('textarea'), { preferences: store });
+
+    expect(editor.mode).toBe('markdown');
+  });
+
+  it('should record modes chosen via switchTo', () => {
+    document.body.innerHTML = `<div><textarea name="body">Hi</textarea></div>`;
+    const store = memoryStore();
+
+    const editor = createEditor(document.querySelector('textarea'), { preferences: store });
+    expect(store.data.body).toBeUndefined();
+
+    editor.switchTo('markdown');
+    expect(store.data.body).toBe('markdown');
+  });
+
+  it('should let data-editor-force-mode override the preference', () => {
+    document.body.innerHTML = `<div><textarea name="body" data-editor-force-mode="prosemirror">Hi</textarea></div>`;
+    const store = memoryStore({ body: 'markdown' });
+
+    const editor = createEditor(document.querySelector('textarea'), { preferences: store });
+    expect(editor.mode).toBe('prosemirror');
+
+    editor.switchTo('markdown');
+    expect(store.data.body).toBe('markdown'); // untouched
+  });
+
+  it('should persist to localStorage by default', () => {
+    document.body.innerHTML = `<div><textarea data-editor-key="article">Hi</textarea></div>`;
+    const textarea = document.querySelector('textarea');
+
+    createEditor(textarea).switchTo('markdown');
+    destroyEditor(textarea);
+
+    expect(dom.window.localStorage.getItem('pm-editor-mode:article')).toBe('markdown');
+    expect(createEditor(textarea).mode).toBe('markdown');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { initProseMirrorEditor, observeEditors, getEditor, destroyEditor } from '../index.js';
+
+// MutationObserver callbacks run as microtasks
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Observed initialization', () => {
+  let dom, document, handle;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body><div id="app"></div></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    handle = null;
+  });
+
+  afterEach(() => {
+    handle?.disconnect();
+    document.querySelectorAll('textarea').forEach((ta) => destroyEditor(ta));
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  it('should wire textareas inserted after initialization', async () => {
+    handle = observeEditors('textarea.editor');
+    const app = document.getElementById('app');
+
+    app.innerHTML = `<form><div><textarea class="editor">Loaded</textarea></div></form>`;
+    await flush();
+
+    const textarea = app.querySelector('textarea');
+    expect(getEditor(textarea)).not.toBeNull();
+    expect(getEditor(textarea).content).toBe('Loaded');
+  });
+
+  it('should ignore textareas that do not match the selector', async () => {
+    handle = observeEditors('textarea.editor');
+    const app = document.getElementById('app');
+
+    app.innerHTML = `<div><textarea class="plain">Plain</textarea></div>`;
+    await flush();
+
+    expect(getEditor(app.querySelector('textarea'))).toBeNull();
+  });
+
+  it('should destroy editors whose textarea leaves the document', async () => {
+    handle = observeEditors('textarea.editor');
+    const app = document.getElementById('app');
+    app.innerHTML = `<form><div><textarea class="editor">Loaded</textarea></div></form>`;
+    await flush();
+
+    const textarea = app.querySelector('textarea');
+    const form = app.querySelector('form');
+    const editor = getEditor(textarea);
+    const removeSpy = vi.spyOn(form, 'removeEventListener');
+
+    app.innerHTML = '';
+    await flush();
+
+    expect(editor.destroyed).toBe(true);
+    expect(getEditor(textarea)).toBeNull();
+    expect(removeSpy).toHaveBeenCalledWith('submit', expect.any(Function));
+  });
+
+  it('should keep editors alive when their textarea is moved', async () => {
+    handle = observeEditors('textarea.editor');
+    const app = document.getElementById('app');
+    app.innerHTML = `<div id="a"><textarea class="editor">Moved</textarea></div><div id="b"></div>`;
+    await flush();
+
+    const textarea = app.querySelector('textarea');
+    const editor = getEditor(textarea);
+    document.getElementById('b').appendChild(document.getElementById('a'));
+    await flush();
+
+    expect(editor.destroyed).toBe(false);
+    expect(getEditor(textarea)).toBe(editor);
+  });
+
+  it('should stop observing after disconnect', async () => {
+    handle = observeEditors('textarea.editor');
+    handle.disconnect();
+    const app = document.getElementById('app');
+
+    app.innerHTML = `<div><textarea class="editor">Late</textarea></div>`;
+    await flush();
+
+    expect(getEditor(app.querySelector('textarea'))).toBeNull();
+  });
+
+  it('should observe through initProseMirrorEditor when opted in', async () => {
+    const app = document.getElementById('app');
+    app.innerHTML = `<div><textarea data-editor-mode="markdown">Existing</textarea></div>`;
+
+    const editors = initProseMirrorEditor(undefined, { observe: true, root: app });
+    expect(editors).toHaveLength(1);
+
+    const late = document.createElement('div');
+    late.innerHTML = `<textarea data-editor-mode="markdown">Late</textarea>`;
+    app.appendChild(late);
+    await flush();
+
+    const editor = getEditor(late.querySelector('textarea'));
+    expect(editor).not.toBeNull();
+    expect(editor.mode).toBe('markdown');
+
+    editors.observer.disconnect();
+    const after = document.createElement('div');
+    after.innerHTML = `<textarea data-editor-mode="markdown">After</textarea>`;
+    app.appendChild(after);
+    await flush();
+
+    expect(getEditor(after.querySelector('textarea'))).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+
+describe('Placeholder plugin', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea placeholder="Write something…"></textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const placeholders = (editor) =>
+    Array.from(editor.view.view.dom.querySelectorAll('.pm-placeholder')).map((el) => el.getAttribute('data-placeholder'));
+
+  it("should show the textarea's placeholder in an empty document", () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+
+    expect(placeholders(editor)).toEqual(['Write something…']);
+    expect(editor.view.view.dom.getAttribute('aria-placeholder')).toBe('Write something…');
+  });
+
+  it('should hide the placeholder once there is content', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const pm = editor.view.view;
+
+    pm.dispatch(pm.state.tr.insertText('Hi', 1));
+    expect(placeholders(editor)).toEqual([]);
+
+    pm.dispatch(pm.state.tr.delete(1, 3));
+    expect(placeholders(editor)).toEqual(['Write something…']);
+  });
+
+  it('should prefer the placeholder option and allow disabling it', () => {
+    let editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, placeholder: 'Body' });
+    expect(placeholders(editor)).toEqual(['Body']);
+
+    editor.destroy();
+    editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, placeholder: false });
+    expect(placeholders(editor)).toEqual([]);
+    expect(editor.view.view.dom.hasAttribute('aria-placeholder')).toBe(false);
+  });
+
+  it('should not leak into the serialized markdown', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+
+    expect(editor.content).toBe('');
+    expect(editor.view.view.dom.textContent).toBe('');
+  });
+
+  it('should support per-block placeholders', () => {
+    textarea.value = '# \n\nText\n\n## ';
+    const editor = createEditor(textarea, {
+      mode: 'prosemirror',
+      preferences: false,
+      blockPlaceholders: { heading: (node) => `Heading ${node.attrs.level}` }
+    });
+
+    expect(placeholders(editor)).toEqual(['Heading 1', 'Heading 2']);
+  });
+});
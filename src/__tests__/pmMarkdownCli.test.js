@@ -0,0 +1,142 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { run, checkMarkdown } from '../cli/pmMarkdown.js';
+
+vi.mock('node:fs/promises', async (importOriginal) => {
+  const fs = await importOriginal();
+  return { ...fs, writeFile: vi.fn(fs.writeFile) };
+});
+
+describe('pm-markdown', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pm-markdown-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const file = async (name, content) => {
+    const path = join(dir, name);
+    await writeFile(path, content);
+    return path;
+  };
+  const cli = async (...args) => {
+    const io = { stdout: { text: '', write(s) { this.text += s; } }, stderr: { text: '', write(s) { this.text += s; } } };
+    const code = await run(args, io);
+    return { code, stdout: io.stdout.text, stderr: io.stderr.text };
+  };
+
+  it('should diff files the editor would change and exit with 1', async () => {
+    const post = await file('post.md', '# Post\n\n+ one\n+ two\n');
+    await file('clean.md', '# Clean\n\nText\n');
+
+    const { code, stdout, stderr } = await cli('check', dir);
+
+    expect(code).toBe(1);
+    expect(stdout).toContain(`--- ${post}`);
+    expect(stdout).toContain('-+ one\n-+ two\n+* one\n+* two');
+    expect(stdout).not.toContain('clean.md');
+    expect(stderr).toContain('1 of 2 files would change');
+    expect(await readFile(post, 'utf8')).toBe('# Post\n\n+ one\n+ two\n');
+  });
+
+  it('should rewrite files in place with fix', async () => {
+    const post = await file('post.md', 'Title\n=====\n\n__bold__\n');
+
+    const { code, stdout } = await cli('fix', post);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe(`fixed ${post}\n`);
+    expect(await readFile(post, 'utf8')).toBe('# Title\n\n**bold**\n');
+    expect((await cli('check', post)).code).toBe(0);
+  });
+
+  it('should report files it cannot write, fix the rest and exit with 2', async () => {
+    const locked = await file('a.md', '+ a\n');
+    const post = await file('b.md', '+ b\n');
+    writeFile.mockRejectedValueOnce(new Error(`EACCES: permission denied, open '${locked}'`));
+
+    const { code, stdout, stderr } = await cli('fix', dir);
+
+    expect(code).toBe(2);
+    expect(stderr).toContain(`pm-markdown: EACCES: permission denied, open '${locked}'`);
+    expect(stderr).toContain('Fixed 1 of 2 files');
+    expect(stdout).toBe(`fixed ${post}\n`);
+    expect(await readFile(post, 'utf8')).toBe('* b\n');
+  });
+
+  it('should report table and HTML block problems outside code fences', async () => {
+    const post = await file('post.md', [
+      '| lone row |',
+      '',
+      '| a | b |',
+      '| --- |',
+      '',
+      '<div>',
+      'html',
+      '</div>',
+      '',
+      '```',
+      '<div>',
+      '| code |',
+      '```'
+    ].join('\n'));
+
+    const { stderr } = await cli('check', '--no-diff', post);
+
+    expect(stderr).toContain(`${post}:1: warning: Table row without a header and separator row [invalid-table]`);
+    expect(stderr).toContain(`${post}:3: warning: Table header and separator row have different numbers of cells [invalid-table]`);
+    expect(stderr).toContain(`${post}:6: warning: HTML block (lines 6-8) is edited as plain text in the WYSIWYG editor [html-block]`);
+    expect(stderr.match(/warning/g)).toHaveLength(3);
+  });
+
+  it('should only look in markdown files of nested directories', async () => {
+    await mkdir(join(dir, 'posts'));
+    await mkdir(join(dir, 'node_modules'));
+    await file('posts/a.markdown', '+ a\n');
+    await file('posts/notes.txt', '+ a\n');
+    await file('node_modules/dep.md', '+ a\n');
+
+    const { stdout } = await cli('check', '--no-diff', dir);
+
+    expect(stdout).toBe(`${join(dir, 'posts', 'a.markdown')}\n`);
+  });
+
+  it('should use the extensions given', async () => {
+    const post = await file('post.md', '| a || b |\n');
+    expect((await cli('check', post)).code).toBe(0);
+    expect((await cli('check', '--extensions', 'default tableRowLineBreaks', post)).code).toBe(1);
+
+    const { code, stderr } = await cli('check', '--extensions=nope', post);
+    expect(code).toBe(2);
+    expect(stderr).toContain('Unknown extensions: nope');
+  });
+
+  it('should exit with 2 on usage errors and missing files', async () => {
+    expect((await cli()).code).toBe(2);
+    expect((await cli('lint', 'x.md')).stderr).toContain('Unknown command: lint');
+    expect((await cli('check')).stderr).toContain('No files given');
+    expect((await cli('check', join(dir, 'missing.md'))).code).toBe(2);
+    expect((await cli('--help')).stdout).toContain('Usage: pm-markdown');
+  });
+});
+
+describe('checkMarkdown', () => {
+  it('should keep the final newline and CRLF line endings', () => {
+    expect(checkMarkdown('one\r\n\r\ntwo\r\n')).toEqual({ markdown: 'one\r\n\r\ntwo\r\n', changed: false, diagnostics: [] });
+    expect(checkMarkdown('+ a\r\n').markdown).toBe('* a\r\n');
+  });
+
+  it('should keep the source when the round trip fails', () => {
+    const diagnostics = [{ level: 'error', code: 'serialize-error', message: 'Failed to serialize' }];
+    const normalize = () => ({ markdown: 'plain text', changed: true, diagnostics });
+
+    expect(checkMarkdown('**rich** text\n', normalize)).toEqual({ markdown: '**rich** text\n', changed: false, diagnostics });
+  });
+});
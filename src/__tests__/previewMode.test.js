@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { createMarkdownSystem } from '../markdownSystem.js';
+import { sanitizeHtml } from '../utils/htmlSecurity.js';
+
+describe('Preview mode', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div class="field"><textarea name="body"># Title\n\nSome **bold** text</textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const preview = () => document.querySelector('.pm-preview');
+  const toggleButton = () => document.querySelector('.toggle-editor-mode-button');
+
+  it('should render the markdown with the editor\'s markdown-it', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    editor.switchTo('preview');
+
+    const { mdParser } = createMarkdownSystem();
+    expect(editor.mode).toBe('preview');
+    expect(preview().innerHTML).toBe(mdParser.tokenizer.render(textarea.value));
+    expect(preview().querySelector('h1').textContent).toBe('Title');
+    expect(textarea.style.display).toBe('none');
+  });
+
+  it('should start in preview from data-editor-mode', () => {
+    textarea.setAttribute('data-editor-mode', 'preview');
+    const editor = createEditor(textarea, { preferences: false });
+
+    expect(editor.mode).toBe('preview');
+    expect(preview()).not.toBeNull();
+  });
+
+  it('should reflect the mode on the toggle and go back to editing', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    editor.switchTo('preview');
+
+    expect(toggleButton().getAttribute('data-editor-mode')).toBe('preview');
+    expect(toggleButton().textContent).toBe('Back to editing');
+
+    toggleButton().click();
+    expect(editor.mode).toBe('prosemirror');
+    expect(preview()).toBeNull();
+    expect(textarea.value).toBe('# Title\n\nSome **bold** text');
+  });
+
+  it('should escape raw HTML and drop unsafe links', () => {
+    textarea.value = '<script>alert(1)</script>\n\n[x](javascript:alert(1)) <img src=x onerror=alert(1)>';
+    createEditor(textarea, { mode: 'preview', preferences: false });
+
+    expect(preview().querySelector('script, img')).toBeNull();
+    expect(preview().querySelector('a')).toBeNull();
+    expect(preview().textContent).toContain('<script>');
+  });
+
+  it('should not remember preview as the preferred mode', () => {
+    const store = { get: vi.fn(() => null), set: vi.fn() };
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: store });
+
+    editor.switchTo('preview');
+    expect(store.set).not.toHaveBeenCalled();
+  });
+
+  it('should keep the markdown caret across the preview', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const at = textarea.value.indexOf('text');
+    textarea.setSelectionRange(at, at);
+
+    editor.switchTo('preview');
+    editor.switchTo('markdown');
+
+    expect(textarea.selectionStart).toBe(at);
+  });
+
+  it('should add a preview toggle when asked', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, previewToggle: true });
+    const button = document.querySelector('.toggle-preview-button');
+
+    button.click();
+    expect(editor.mode).toBe('preview');
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+
+    button.click();
+    expect(editor.mode).toBe('markdown');
+  });
+
+  it('should restore the textarea on destroy', () => {
+    const field = document.querySelector('.field');
+    const before = field.innerHTML;
+    const editor = createEditor(textarea, { mode: 'preview', preferences: false });
+
+    editor.destroy();
+    expect(field.innerHTML).toBe(before);
+  });
+
+  it('should report a failed submit on the preview', () => {
+    document.body.innerHTML = `
+      <form>
+        <label for="body">Body</label>
+        <div><textarea id="body" name="body" required></textarea></div>
+        <button type="submit">Save</button>
+      </form>`;
+    textarea = document.querySelector('textarea');
+    const editor = createEditor(textarea, { mode: 'preview', preferences: false });
+    const focus = vi.spyOn(editor.view, 'focus');
+
+    document.querySelector('button[type="submit"]').click();
+
+    const message = document.querySelector('.pm-validation-message');
+    expect(message.textContent).toBe(textarea.validationMessage);
+    expect(preview().nextElementSibling).toBe(message);
+    expect(preview().getAttribute('aria-labelledby')).toBe(document.querySelector('label').id);
+    expect(preview().getAttribute('aria-invalid')).toBe('true');
+    expect(focus).toHaveBeenCalled();
+
+    editor.switchTo('markdown');
+    expect(document.querySelector('.pm-validation-message')).toBeNull();
+  });
+
+  describe('sanitizeHtml', () => {
+    it('should keep markdown output and strip the rest', () => {
+      expect(sanitizeHtml('<p><a href="https://example.com" title="t">a</a> <em>b</em></p>'))
+        .toBe('<p><a href="https://example.com" title="t">a</a> <em>b</em></p>');
+      expect(sanitizeHtml('<p onclick="x()">a<span>b</span><iframe src="x"></iframe></p>')).toBe('<p>ab</p>');
+      expect(sanitizeHtml('<a href=" javascript:alert(1)">a</a><a href="/page#x">b</a>'))
+        .toBe('<a>a</a><a href="/page#x">b</a>');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Read-only and disabled editors', () => {
+  let dom, document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+  });
+
+  afterEach(() => {
+    document.querySelectorAll('textarea').forEach((ta) => destroyEditor(ta));
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  const setup = (attrs = '') => {
+    document.body.innerHTML = `<form><div><textarea ${attrs}>Some text</textarea></div></form>`;
+    return document.querySelector('textarea');
+  };
+
+  const toolbarControls = (editor) =>
+    Array.from(editor.view.view.dom.parentNode.querySelectorAll('.pm-toolbar button, .pm-toolbar select'));
+
+  it('should honour readonly at init', () => {
+    const textarea = setup('readonly');
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+
+    expect(editor.readOnly).toBe(true);
+    expect(editor.view.view.editable).toBe(false);
+    expect(editor.view.view.dom.getAttribute('contenteditable')).toBe('false');
+    expect(editor.view.view.dom.getAttribute('aria-readonly')).toBe('true');
+    expect(toolbarControls(editor).every((control) => control.disabled)).toBe(true);
+  });
+
+  it('should treat disabled as read-only', () => {
+    const textarea = setup('disabled');
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+
+    expect(editor.view.view.editable).toBe(false);
+  });
+
+  it('should not sync disabled fields into the form', () => {
+    const textarea = setup('disabled');
+    textarea.value = 'Some  *text*  ';
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+
+    editor.view._syncToMirror(true);
+    textarea.form.dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+
+    expect(textarea.value).toBe('Some  *text*  ');
+  });
+
+  it('should toggle read-only at runtime with setReadOnly', () => {
+    const textarea = setup();
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+    expect(editor.view.view.editable).toBe(true);
+
+    editor.setReadOnly(true);
+    expect(textarea.hasAttribute('readonly')).toBe(true);
+    expect(editor.view.view.editable).toBe(false);
+    expect(toolbarControls(editor).every((control) => control.disabled)).toBe(true);
+
+    editor.setReadOnly(false);
+    expect(editor.view.view.editable).toBe(true);
+    expect(editor.view.view.dom.hasAttribute('aria-readonly')).toBe(false);
+  });
+
+  it('should follow attribute changes made by the host', async () => {
+    const textarea = setup();
+    const editor = createEditor(textarea, { mode: 'prosemirror' });
+
+    textarea.disabled = true;
+    await flush();
+    expect(editor.view.view.editable).toBe(false);
+
+    textarea.disabled = false;
+    await flush();
+    expect(editor.view.view.editable).toBe(true);
+  });
+
+  it('should stay read-only after switching modes', () => {
+    const textarea = setup('readonly');
+    const editor = createEditor(textarea, { mode: 'markdown' });
+
+    expect(textarea.readOnly).toBe(true);
+    editor.switchTo('prosemirror');
+    expect(editor.view.view.editable).toBe(false);
+  });
+
+  it('should optionally hide the mode toggle while read-only', () => {
+    const textarea = setup('readonly');
+    const editor = createEditor(textarea, { hideToggleWhenReadOnly: true });
+    const button = document.querySelector('.pm-editor-controls button');
+
+    expect(button.hidden).toBe(true);
+    editor.setReadOnly(false);
+    expect(button.hidden).toBe(false);
+  });
+
+  it('should show the page\'s own toggle again after destroy', () => {
+    document.body.innerHTML = `<form><div><textarea readonly>Some text</textarea><button type="button">Toggle</button></div></form>`;
+    const textarea = document.querySelector('textarea');
+    const button = document.querySelector('button');
+    const editor = createEditor(textarea, { hideToggleWhenReadOnly: true });
+
+    expect(button.hidden).toBe(true);
+    editor.destroy();
+
+    expect(button.hidden).toBe(false);
+    expect(button.hasAttribute('hidden')).toBe(false);
+    expect(button.textContent).toBe('Toggle');
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { TextSelection } from 'prosemirror-state';
+import { createEditor, destroyEditor } from '../index.js';
+import { createMarkdownSystem } from '../markdownSystem.js';
+import { markdownOffsetFromPos, posFromMarkdownOffset } from '../utils/positionMapping.js';
+
+describe('Position mapping', () => {
+  const { mdParser } = createMarkdownSystem();
+  const tokenize = (md) => mdParser.tokenizer.parse(md, {});
+
+  // Document position just before the first occurrence of `needle`
+  const posOf = (doc, needle) => {
+    let found = null;
+    doc.descendants((node, pos) => {
+      if (found === null && node.isText && node.text.includes(needle)) found = pos + node.text.indexOf(needle);
+    });
+    return found;
+  };
+
+  const roundTrip = (md, needle) => {
+    const doc = mdParser.parse(md);
+    const offset = md.indexOf(needle);
+    const pos = posFromMarkdownOffset(doc, offset, md, tokenize);
+    expect(pos).toBe(posOf(doc, needle));
+    expect(markdownOffsetFromPos(doc, pos, md, tokenize)).toBe(offset);
+  };
+
+  it('should map plain paragraphs', () => {
+    roundTrip('First paragraph\n\nSecond one here', 'one');
+  });
+
+  it('should skip heading, list and quote markers', () => {
+    roundTrip('# Title\n\n- item one\n- item two\n\n> quoted text', 'two');
+    roundTrip('# Title\n\n- item one\n- item two\n\n> quoted text', 'text');
+    roundTrip('## Heading words ##', 'words');
+  });
+
+  it('should skip inline markup', () => {
+    roundTrip('Some **bold** and [a link](https://example.com) after', 'after');
+    roundTrip('Escaped \\*stars\\* here', 'here');
+  });
+
+  it('should map across soft line breaks', () => {
+    roundTrip('Line one\ncontinues here', 'here');
+  });
+
+  it('should map inside code blocks', () => {
+    roundTrip('Intro\n\n```js\nconst x = 1;\nreturn x;\n```', 'return');
+    roundTrip('Intro\n\n    indented code\n    more', 'more');
+  });
+
+  it('should place the caret at the end of the block before a blank line', () => {
+    const md = 'One\n\n\n\nTwo';
+    const doc = mdParser.parse(md);
+    expect(posFromMarkdownOffset(doc, 5, md, tokenize)).toBe(4);
+  });
+
+  it('should clamp out-of-range offsets', () => {
+    const md = 'Hello';
+    const doc = mdParser.parse(md);
+    expect(posFromMarkdownOffset(doc, 99, md, tokenize)).toBe(6);
+    expect(posFromMarkdownOffset(doc, -1, md, tokenize)).toBe(1);
+  });
+});
+
+describe('Selection across mode toggles', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea name="body"># Notes\n\nSome **bold** text and more words</textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  it('should keep the caret when switching to WYSIWYG', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const at = textarea.value.indexOf('more');
+    textarea.setSelectionRange(at, at);
+
+    editor.switchTo('prosemirror');
+
+    const { state } = editor.view.view;
+    expect(state.selection.empty).toBe(true);
+    expect(state.doc.textBetween(state.selection.from, state.selection.from + 4)).toBe('more');
+  });
+
+  it('should keep a range selection when switching to markdown', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    const pm = editor.view.view;
+    let from = 0;
+    pm.state.doc.descendants((node, pos) => {
+      if (node.isText && node.text === 'bold') from = pos;
+    });
+    pm.dispatch(pm.state.tr.setSelection(TextSelection.create(pm.state.doc, from, from + 4)));
+
+    editor.switchTo('markdown');
+
+    expect(textarea.value.slice(textarea.selectionStart, textarea.selectionEnd)).toBe('bold');
+  });
+
+  it('should survive a full round trip', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+    const at = textarea.value.indexOf('words');
+    textarea.setSelectionRange(at, at + 5);
+
+    editor.switchTo('prosemirror');
+    editor.switchTo('markdown');
+
+    expect(textarea.selectionStart).toBe(at);
+    expect(textarea.selectionEnd).toBe(at + 5);
+  });
+});
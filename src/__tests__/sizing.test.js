@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { rowsToHeight } from '../ui/sizing.js';
+
+describe('Editor sizing', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => { cb(); return 1; });
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div class="field"><textarea id="body" name="body" rows="4">One\n\nTwo</textarea><p class="after">after</p></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  // JSDOM has no layout: give an element a content height and a line height
+  const layout = (el, scrollHeight) => {
+    el.style.cssText += 'line-height: 20px; padding: 0; border: 0;';
+    Object.defineProperty(el, 'scrollHeight', { value: scrollHeight, configurable: true });
+  };
+  const pointer = (target, type, clientY) => target.dispatchEvent(new dom.window.MouseEvent(type, { bubbles: true, button: 0, clientY }));
+
+  it('should measure rows with the line height, padding and border', () => {
+    const el = document.createElement('div');
+    el.style.cssText = 'line-height: 20px; padding: 6px 0; border: 1px solid';
+    document.body.appendChild(el);
+    expect(rowsToHeight(el, 3)).toBe(74);
+  });
+
+  it('should leave heights to the stylesheet by default', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    expect(editor.view.view.dom.style.height).toBe('');
+    editor.switchTo('markdown');
+    expect(textarea.style.height).toBe('');
+    expect(document.querySelector('.pm-resize-handle')).toBeNull();
+  });
+
+  it('should grow with the content between minRows and maxRows', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, autoGrow: true, maxRows: 10 });
+    layout(textarea, 120);
+    editor.setMarkdown('One\n\nTwo\n\nThree');
+    expect(textarea.style.height).toBe('120px');
+
+    // Never below the textarea's rows
+    layout(textarea, 30);
+    editor.setMarkdown('One');
+    expect(textarea.style.height).toBe('80px');
+
+    layout(textarea, 900);
+    editor.setMarkdown('Long');
+    expect(textarea.style.height).toBe('200px');
+  });
+
+  it('should size the WYSIWYG view by the same rules', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, autoGrow: true, minRows: 2 });
+    editor.switchTo('prosemirror');
+    const pm = editor.view.view;
+    layout(pm.dom, 150);
+
+    pm.dispatch(pm.state.tr.insertText('!', 1));
+
+    expect(pm.dom.style.height).toBe('150px');
+    expect(pm.dom.style.maxHeight).toBe('none');
+  });
+
+  it('should resize with the handle and keep the height across modes', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, resizeHandle: true });
+    const handle = document.querySelector('.pm-resize-handle');
+    expect(handle.previousElementSibling).toBe(textarea);
+    expect(handle.getAttribute('role')).toBe('separator');
+    layout(textarea, 0);
+    textarea.getBoundingClientRect = () => ({ height: 100 });
+
+    pointer(handle, 'pointerdown', 500);
+    pointer(document, 'pointermove', 560);
+    pointer(document, 'pointerup', 560);
+    expect(textarea.style.height).toBe('160px');
+
+    editor.switchTo('prosemirror');
+    expect(editor.view.view.dom.style.height).toBe('160px');
+    expect(handle.previousElementSibling).toBe(textarea);
+
+    editor.switchTo('markdown');
+    expect(textarea.style.height).toBe('160px');
+  });
+
+  it('should not drag below minRows', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false, resizeHandle: true });
+    const handle = document.querySelector('.pm-resize-handle');
+    layout(textarea, 0);
+    textarea.getBoundingClientRect = () => ({ height: 100 });
+
+    pointer(handle, 'pointerdown', 500);
+    pointer(document, 'pointermove', 300);
+    pointer(document, 'pointerup', 300);
+
+    expect(textarea.style.height).toBe('80px');
+  });
+
+  it('should resize by one row with the arrow keys and reset on double-click', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false, resizeHandle: true });
+    const handle = document.querySelector('.pm-resize-handle');
+    layout(textarea, 0);
+    textarea.getBoundingClientRect = () => ({ height: 100 });
+
+    handle.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    expect(textarea.style.height).toBe('120px');
+
+    handle.dispatchEvent(new dom.window.MouseEvent('dblclick', { bubbles: true }));
+    expect(textarea.style.height).toBe('');
+  });
+
+  it('should carry a height from the browser resize grip to the other mode', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+    editor.view.view.dom.style.height = '333px';
+
+    editor.switchTo('markdown');
+
+    expect(textarea.style.height).toBe('333px');
+  });
+
+  it('should step aside in fullscreen and remove the handle on destroy', () => {
+    dom.window.scrollTo = vi.fn();
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, autoGrow: true, resizeHandle: true, fullscreen: true });
+    layout(textarea, 120);
+    editor.setMarkdown('More');
+    expect(textarea.style.height).toBe('120px');
+
+    editor.toggleFullscreen();
+    expect(textarea.style.height).toBe('');
+    editor.toggleFullscreen();
+    expect(textarea.style.height).toBe('120px');
+
+    editor.destroy();
+    expect(document.querySelector('.pm-resize-handle')).toBeNull();
+    expect(textarea.getAttribute('style')).toBeNull();
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { TextSelection } from 'prosemirror-state';
+import { createEditor, destroyEditor } from '../index.js';
+import { createMarkdownSystem } from '../markdownSystem.js';
+import { blockLineRanges, createScrollSync } from '../utils/scrollSync.js';
+
+describe('Split view', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<form><div class="field"><textarea name="body">First paragraph\n\nSecond paragraph</textarea></div></form>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const typeInTextarea = (value) => {
+    textarea.value = value;
+    textarea.dispatchEvent(new dom.window.Event('input'));
+  };
+
+  const docText = (editor) => editor.view.view.state.doc.textBetween(0, editor.view.view.state.doc.content.size, '\n');
+
+  it('should show the textarea and the WYSIWYG view side by side', () => {
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+
+    const split = document.querySelector('.pm-split');
+    expect(editor.mode).toBe('split');
+    expect(split.querySelector('.pm-split-source textarea')).toBe(textarea);
+    expect(split.querySelector('.pm-split-wysiwyg .ProseMirror')).not.toBeNull();
+    expect(textarea.style.display).toBe('');
+    expect(document.querySelector('.toggle-editor-mode-button').getAttribute('data-editor-mode')).toBe('split');
+  });
+
+  it('should keep the source as typed when entering split mode', () => {
+    textarea.value = '* item';
+    createEditor(textarea, { mode: 'split', preferences: false });
+    expect(textarea.value).toBe('* item');
+  });
+
+  it('should parse source edits into the document', async () => {
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+    const onChange = vi.fn();
+    editor.on('change', onChange);
+
+    typeInTextarea('First paragraph\n\nSecond **bold** paragraph');
+    expect(onChange).toHaveBeenCalledWith({ markdown: 'First paragraph\n\nSecond **bold** paragraph' });
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(docText(editor)).toBe('First paragraph\nSecond bold paragraph');
+    expect(textarea.value).toBe('First paragraph\n\nSecond **bold** paragraph');
+  });
+
+  it('should keep the WYSIWYG selection while the source changes', () => {
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+    const pm = editor.view.view;
+    let at = 0;
+    pm.state.doc.descendants((node, pos) => { if (node.isText && node.text.startsWith('Second')) at = pos; });
+    pm.dispatch(pm.state.tr.setSelection(TextSelection.create(pm.state.doc, at)));
+
+    typeInTextarea('The first paragraph\n\nSecond paragraph');
+    editor.view._syncFromSource();
+
+    const { from } = pm.state.selection;
+    expect(pm.state.doc.textBetween(from, from + 6)).toBe('Second');
+  });
+
+  it('should serialize WYSIWYG edits into the source', () => {
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+    const pm = editor.view.view;
+
+    pm.dispatch(pm.state.tr.insertText('!', pm.state.doc.content.size - 1));
+
+    expect(editor.content).toBe('First paragraph\n\nSecond paragraph!');
+    expect(textarea.value).toBe('First paragraph\n\nSecond paragraph!');
+  });
+
+  it('should track dirty state for source edits', () => {
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+    const onDirty = vi.fn();
+    editor.on('dirtychange', onDirty);
+
+    typeInTextarea('Changed');
+    editor.view._syncFromSource();
+
+    expect(onDirty).toHaveBeenCalledWith({ dirty: true });
+  });
+
+  it('should put the textarea back when leaving split mode', () => {
+    const field = document.querySelector('.field');
+    const editor = createEditor(textarea, { mode: 'split', preferences: false });
+
+    editor.switchTo('markdown');
+
+    expect(document.querySelector('.pm-split')).toBeNull();
+    expect(textarea.parentElement).toBe(field);
+    expect(editor.content).toBe('First paragraph\n\nSecond paragraph');
+  });
+
+  it('should restore the markup exactly on destroy', () => {
+    const field = document.querySelector('.field');
+    const before = field.innerHTML;
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false });
+
+    editor.switchTo('split');
+    editor.destroy();
+
+    expect(field.innerHTML).toBe(before);
+  });
+
+  it('should add a split toggle when asked', () => {
+    const editor = createEditor(textarea, { mode: 'markdown', preferences: false, splitToggle: true });
+    const splitButton = document.querySelector('.toggle-split-button');
+
+    splitButton.click();
+    expect(editor.mode).toBe('split');
+    expect(splitButton.getAttribute('aria-pressed')).toBe('true');
+
+    splitButton.click();
+    expect(editor.mode).toBe('markdown');
+    expect(splitButton.getAttribute('aria-pressed')).toBe('false');
+
+    editor.destroy();
+    expect(document.querySelector('.toggle-split-button')).toBeNull();
+  });
+
+  it('should switch panes with the narrow-screen tabs', () => {
+    createEditor(textarea, { mode: 'split', preferences: false });
+    const split = document.querySelector('.pm-split');
+    const tabs = split.querySelectorAll('[role="tab"]');
+
+    expect(split.dataset.splitTab).toBe('source');
+    tabs[1].click();
+
+    expect(split.dataset.splitTab).toBe('wysiwyg');
+    expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+    expect(tabs[0].getAttribute('aria-selected')).toBe('false');
+  });
+});
+
+describe('Scroll sync', () => {
+  const { mdParser } = createMarkdownSystem();
+  const tokenize = (md) => mdParser.tokenizer.parse(md, {});
+
+  it('should list top-level block line ranges', () => {
+    const ranges = blockLineRanges(tokenize('# Title\n\n- a\n- b\n\nText\nmore'));
+    expect(ranges).toEqual([{ start: 0, end: 1 }, { start: 2, end: 5 }, { start: 5, end: 7 }]);
+  });
+
+  it('should scroll to the same point of the matching block', () => {
+    const { window } = new JSDOM('<!DOCTYPE html><textarea></textarea><div></div>');
+    global.requestAnimationFrame = (cb) => cb();
+    const textarea = window.document.querySelector('textarea');
+    const scroller = window.document.querySelector('div');
+
+    // Ten source lines of 20px; three blocks laid out 100px apart in the view
+    const markdown = 'One\n\nTwo\nTwo\n\nThree\n\n\n\n';
+    textarea.value = markdown;
+    Object.defineProperty(textarea, 'scrollHeight', { value: 200 });
+    Object.defineProperty(textarea, 'clientHeight', { value: 40 });
+    Object.defineProperty(scroller, 'scrollHeight', { value: 400 });
+    Object.defineProperty(scroller, 'clientHeight', { value: 100 });
+    const doc = mdParser.parse(markdown);
+    const offsets = [];
+    doc.forEach((_node, offset) => offsets.push(offset));
+    const view = {
+      dom: scroller,
+      state: { doc },
+      nodeDOM: (pos) => ({
+        getBoundingClientRect: () => ({ top: offsets.indexOf(pos) * 100 - scroller.scrollTop, height: 80 })
+      })
+    };
+
+    const sync = createScrollSync({ textarea, view, tokenize });
+    // Halfway into the second block (lines 2-4)
+    textarea.scrollTop = 60;
+    sync.sourceToView();
+    expect(scroller.scrollTop).toBe(140);
+
+    scroller.scrollTop = 200;
+    sync.viewToSource();
+    expect(textarea.scrollTop).toBe(100);
+
+    sync.destroy();
+    delete global.requestAnimationFrame;
+  });
+
+  it('should tokenize the source again only after it changes', () => {
+    const { window } = new JSDOM('<!DOCTYPE html><textarea></textarea><div></div>');
+    const textarea = window.document.querySelector('textarea');
+    const scroller = window.document.querySelector('div');
+    textarea.value = 'One\n\nTwo';
+    const view = { dom: scroller, state: { doc: mdParser.parse(textarea.value) }, nodeDOM: () => null };
+    const counted = vi.fn(tokenize);
+
+    const sync = createScrollSync({ textarea, view, tokenize: counted });
+    sync.sourceToView();
+    sync.viewToSource();
+    sync.sourceToView();
+    expect(counted).toHaveBeenCalledTimes(1);
+
+    textarea.value = 'One\n\nTwo\n\nThree';
+    sync.sourceToView();
+    sync.sourceToView();
+    expect(counted).toHaveBeenCalledTimes(2);
+    sync.destroy();
+  });
+});
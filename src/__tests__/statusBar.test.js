@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor } from '../index.js';
+import { countMarkdown } from '../ui/statusBar.js';
+
+describe('Status bar and maxlength', () => {
+  let dom, document, textarea;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+
+    document.body.innerHTML = `<div><textarea name="body">Some **bold** text</textarea></div>`;
+    textarea = document.querySelector('textarea');
+  });
+
+  afterEach(() => {
+    destroyEditor(textarea);
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const bar = () => document.querySelector('.pm-status-bar');
+  const text = (cls) => bar().querySelector(`.pm-status-${cls}`).textContent;
+
+  const typeInto = (editor, value) => {
+    const pm = editor.view.view;
+    pm.dispatch(pm.state.tr.insertText(value, pm.state.doc.content.size - 1));
+  };
+
+  describe('countMarkdown', () => {
+    it('should count words without markdown punctuation', () => {
+      expect(countMarkdown('# Title\n\n- one *two*\n- it’s | 3').words).toBe(5);
+    });
+
+    it('should count characters of the markdown itself', () => {
+      expect(countMarkdown('**a**').characters).toBe(5);
+    });
+
+    it('should estimate reading time', () => {
+      expect(countMarkdown('').minutes).toBe(0);
+      expect(countMarkdown('word').minutes).toBe(1);
+      expect(countMarkdown(Array(500).fill('word').join(' '), 200).minutes).toBe(3);
+    });
+  });
+
+  it('should not render unless enabled', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false });
+    expect(bar()).toBeNull();
+  });
+
+  it('should show counts below the editor', () => {
+    createEditor(textarea, { mode: 'prosemirror', preferences: false, statusBar: true });
+
+    expect(textarea.nextElementSibling).toBe(bar());
+    expect(text('words')).toBe('3 words');
+    expect(text('characters')).toBe('18 characters');
+    expect(text('time')).toBe('1 min read');
+  });
+
+  it('should update on markdown edits', () => {
+    createEditor(textarea, { mode: 'markdown', preferences: false, statusBar: true });
+
+    textarea.value = 'One';
+    textarea.dispatchEvent(new dom.window.Event('input'));
+
+    expect(text('words')).toBe('1 word');
+    expect(text('characters')).toBe('3 characters');
+  });
+
+  it('should update on WYSIWYG edits once synced', () => {
+    const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false, statusBar: true });
+
+    typeInto(editor, ' more');
+    editor.view._syncToMirror(true);
+
+    expect(text('words')).toBe('4 words');
+  });
+
+  it('should be removed on destroy', () => {
+    const editor = createEditor(textarea, { preferences: false, statusBar: true });
+    editor.destroy();
+    expect(bar()).toBeNull();
+  });
+
+  describe('maxlength', () => {
+    it('should show the limit and warn as it approaches', () => {
+      textarea.setAttribute('maxlength', '20');
+      createEditor(textarea, { mode: 'markdown', preferences: false, statusBar: true });
+
+      expect(text('characters')).toBe('18 / 20 characters');
+      expect(bar().classList.contains('pm-status-warning')).toBe(true);
+
+      textarea.value = 'Some **bold** text!!';
+      textarea.dispatchEvent(new dom.window.Event('input'));
+      expect(bar().classList.contains('pm-status-warning')).toBe(false);
+      expect(bar().classList.contains('pm-status-limit')).toBe(true);
+    });
+
+    it('should reject WYSIWYG edits that make the markdown too long', () => {
+      textarea.setAttribute('maxlength', '20');
+      const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+
+      typeInto(editor, '!!');
+      expect(editor.content).toBe('Some **bold** text!!');
+
+      typeInto(editor, '!');
+      expect(editor.content).toBe('Some **bold** text!!');
+    });
+
+    it('should count formatting against the limit', () => {
+      textarea.value = 'Some text';
+      textarea.setAttribute('maxlength', '12');
+      const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+      const pm = editor.view.view;
+      const strong = pm.state.schema.marks.strong;
+
+      pm.dispatch(pm.state.tr.addMark(1, 5, strong.create()));
+      expect(editor.content).toBe('Some text');
+    });
+
+    it('should still allow trimming content that is already over the limit', () => {
+      textarea.setAttribute('maxlength', '5');
+      const editor = createEditor(textarea, { mode: 'prosemirror', preferences: false });
+      const pm = editor.view.view;
+
+      pm.dispatch(pm.state.tr.delete(1, 6));
+      expect(editor.content).toBe('**bold** text');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createEditor, destroyEditor, getEditor, initProseMirrorEditor } from '../index.js';
+
+describe('Editor teardown and re-initialization', () => {
+  let dom, document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
+    document = dom.window.document;
+    global.document = document;
+    global.window = dom.window;
+    global.requestAnimationFrame = vi.fn((cb) => cb());
+    global.cancelAnimationFrame = vi.fn();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    document.querySelectorAll('textarea').forEach((ta) => destroyEditor(ta));
+    delete global.document;
+    delete global.window;
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    vi.restoreAllMocks();
+  });
+
+  describe('idempotent initialization', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `<div><textarea data-editor-mode="prosemirror">Content</textarea></div>`;
+    });
+
+    it('should not wire a textarea twice', () => {
+      const [first] = initProseMirrorEditor();
+      const [second] = initProseMirrorEditor();
+
+      expect(second).toBe(first);
+      expect(document.querySelectorAll('.pm-editor-controls')).toHaveLength(1);
+      expect(document.querySelectorAll('.pm-editor-container')).toHaveLength(1);
+    });
+
+    it('should return the registered instance from getEditor', () => {
+      const textarea = document.querySelector('textarea');
+      const editor = createEditor(textarea);
+
+      expect(getEditor(textarea)).toBe(editor);
+      editor.toggle();
+      expect(getEditor(textarea)).toBe(editor);
+    });
+  });
+
+  describe('destroy', () => {
+    it('should restore an auto-wired textarea exactly', () => {
+      document.body.innerHTML = `<div><textarea name="body" style="color: red;">Content</textarea></div>`;
+      const wrapper = document.querySelector('div');
+      const before = wrapper.innerHTML;
+      const textarea = document.querySelector('textarea');
+
+      const editor = createEditor(textarea, { mode: 'prosemirror' });
+      editor.toggle();
+      editor.destroy();
+
+      expect(wrapper.innerHTML).toBe(before);
+      expect(textarea._editorAPI).toBeUndefined();
+      expect(getEditor(textarea)).toBeNull();
+      expect(editor.destroyed).toBe(true);
+    });
+
+    it('should keep edited content in the textarea', () => {
+      document.body.innerHTML = `<div><textarea>Hello</textarea></div>`;
+      const textarea = document.querySelector('textarea');
+      const editor = createEditor(textarea, { mode: 'prosemirror' });
+
+      const pm = editor.view.view;
+      pm.dispatch(pm.state.tr.insertText('!', pm.state.doc.content.size - 1));
+      editor.destroy();
+
+      expect(textarea.value).toBe('Hello!');
+    });
+
+    it('should restore a pre-existing toggle button and detach its handler', () => {
+      document.body.innerHTML = `<div><button type="button" title="Switch">Switch</button><textarea>Hi</textarea></div>`;
+      const textarea = document.querySelector('textarea');
+      const button = document.querySelector('button');
+      const editor = createEditor(textarea, { mode: 'markdown' });
+      const modechange = vi.fn();
+      editor.on('modechange', modechange);
+
+      editor.destroy();
+      button.click();
+
+      expect(modechange).not.toHaveBeenCalled();
+      expect(button.textContent).toBe('Switch');
+      expect(button.getAttribute('title')).toBe('Switch');
+      expect(button.hasAttribute('data-editor-mode')).toBe(false);
+      expect(button.hasAttribute('aria-pressed')).toBe(false);
+    });
+
+    it('should remove the form submit listener', () => {
+      document.body.innerHTML = `<form><div><textarea>Hi</textarea></div></form>`;
+      const form = document.querySelector('form');
+      const spy = vi.spyOn(form, 'removeEventListener');
+      const editor = createEditor(document.querySelector('textarea'), { mode: 'prosemirror' });
+
+      editor.destroy();
+
+      expect(spy).toHaveBeenCalledWith('submit', expect.any(Function));
+    });
+
+    it('should emit destroy and then drop listeners', () => {
+      document.body.innerHTML = `<div><textarea>Hi</textarea></div>`;
+      const editor = createEditor(document.querySelector('textarea'));
+      const fn = vi.fn();
+      editor.on('destroy', fn);
+
+      editor.destroy();
+      editor.destroy();
+
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should allow wiring the textarea again after destroyEditor', () => {
+      document.body.innerHTML = `<div><textarea>Hi</textarea></div>`;
+      const textarea = document.querySelector('textarea');
+      const first = createEditor(textarea);
+
+      expect(destroyEditor(textarea)).toBe(true);
+      expect(destroyEditor(textarea)).toBe(false);
+
+      const second = createEditor(textarea);
+      expect(second === first).toBe(false);
+      expect(second.content).toBe('Hi');
+      expect(document.querySelectorAll('.pm-editor-controls')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+// pm-markdown - find (and fix) markdown files that the WYSIWYG editor would
+// rewrite when a document is opened and saved
+//
+//   pm-markdown check content/         diff of every file that would change
+//   pm-markdown fix content/posts/*.md rewrite them as the editor would save them
+//
+// Node only: files are read with node:fs. The markdown pipeline is the
+// editor's own (see headless.js).
+
+import { readFile, writeFile, readdir, stat } from "node:fs/promises";
+import { join, isAbsolute } from "node:path";
+import { createMarkdownNormalizer } from "../headless.js";
+import { resolveExtensions } from "../extensions/registry.js";
+import { validateTableStructure, isTableRowText, isTableSeparatorRow, countTableCells } from "../utils/patternUtils.js";
+import { findHtmlBlocks } from "../utils/gfmHtmlBlocks.js";
+import { unifiedDiff } from "../utils/lineDiff.js";
+
+export const USAGE = `Usage: pm-markdown <check|fix> [options] <files or directories...>
+
+  check   show a diff of each file the editor would change, and problems it found;
+          exits with 1 when a file would change or fails to round-trip
+  fix     rewrite those files in place; files that fail to round-trip are left alone
+
+Options:
+  --extensions <names>  markdown extensions, as for <markdown-editor extensions>
+                        (default: "default")
+  --no-diff             list files without showing the diff
+  -h, --help            show this help
+
+Directories are searched for .md and .markdown files.
+`;
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+
+// Fenced code is blanked (keeping line numbers) so the checks below skip it
+function maskCodeFences(lines) {
+  let fence = null;
+  return lines.map((line) => {
+    if (fence) {
+      const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+      return "";
+    }
+    const open = line.match(FENCE_OPEN);
+    if (open) {
+      fence = open[1];
+      return "";
+    }
+    return line;
+  });
+}
+
+// Runs of table rows, checked the way the editor styles them
+function tableDiagnostics(lines) {
+  const diagnostics = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (!isTableRowText(lines[i].trim())) {
+      i++;
+      continue;
+    }
+    const start = i;
+    while (i < lines.length && isTableRowText(lines[i].trim())) i++;
+    const rows = lines.slice(start, i).map((line) => line.trim());
+
+    let message = null;
+    if (!validateTableStructure(rows.join("\n")).isValid) {
+      message = "Table row without a header and separator row";
+    } else if (!isTableSeparatorRow(rows[1])) {
+      message = "Table has no separator row below its header";
+    } else if (countTableCells(rows[0]) !== countTableCells(rows[1])) {
+      message = "Table header and separator row have different numbers of cells";
+    }
+    if (message) diagnostics.push({ level: "warning", code: "invalid-table", message, line: start + 1 });
+  }
+  return diagnostics;
+}
+
+// HTML blocks are not parsed as HTML by the editor; they become editable text
+function htmlDiagnostics(lines) {
+  return findHtmlBlocks(lines).map(({ start, end }) => ({
+    level: "warning",
+    code: "html-block",
+    message: start === end
+      ? "HTML block is edited as plain text in the WYSIWYG editor"
+      : `HTML block (lines ${start + 1}-${end + 1}) is edited as plain text in the WYSIWYG editor`,
+    line: start + 1
+  }));
+}
+
+/**
+ * Check one file's content. A trailing newline and CRLF line endings are
+ * kept; everything else is what the editor would save. A file with an error
+ * diagnostic is returned unchanged: what the editor falls back to (the
+ * input, or its plain text) is not something to write over it.
+ *
+ * Returns { markdown, changed, diagnostics } like normalizeMarkdown.
+ */
+export function checkMarkdown(source, normalize = createMarkdownNormalizer()) {
+  const result = normalize(source);
+  let markdown = source;
+  if (!result.diagnostics.some((d) => d.level === "error")) {
+    markdown = result.markdown;
+    if (/\n$/.test(source) && markdown) markdown += "\n";
+    if (source.includes("\r\n")) markdown = markdown.replace(/\n/g, "\r\n");
+  }
+
+  const lines = maskCodeFences(source.replace(/\r\n?/g, "\n").split("\n"));
+  const diagnostics = [...result.diagnostics, ...tableDiagnostics(lines), ...htmlDiagnostics(lines)]
+    .sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+
+  return { markdown, changed: markdown !== source, diagnostics };
+}
+
+// Files named on the command line, and markdown files under named directories
+async function collectFiles(paths) {
+  const files = [];
+  async function walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) await walk(path);
+      else if (MARKDOWN_FILE.test(entry.name)) files.push(path);
+    }
+  }
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) await walk(path);
+    else files.push(path);
+  }
+  return files;
+}
+
+function parseArgs(args) {
+  const options = { diff: true, extensions: null, paths: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--no-diff") options.diff = false;
+    else if (arg === "--extensions") options.extensions = args[++i] ?? "";
+    else if (arg.startsWith("--extensions=")) options.extensions = arg.slice("--extensions=".length);
+    else if (arg === "--") {
+      options.paths.push(...args.slice(i + 1));
+      break;
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else options.paths.push(arg);
+  }
+  return options;
+}
+
+/**
+ * Run the command line `args` (without node and the script). Output goes to
+ * io.stdout / io.stderr (anything with write()).
+ *
+ * Resolves to the exit code: 0 when nothing needs fixing (or it was fixed),
+ * 1 when `check` found files to fix or a file failed to parse or serialize,
+ * 2 on usage errors and files that can't be read or written.
+ */
+export async function run(args, io = process) {
+  const out = (text) => io.stdout.write(text);
+  const err = (text) => io.stderr.write(text);
+  const [command, ...rest] = args;
+
+  if (command === "-h" || command === "--help") {
+    out(USAGE);
+    return 0;
+  }
+
+  let options;
+  try {
+    if (command !== "check" && command !== "fix") throw new Error(command ? `Unknown command: ${command}` : "No command given");
+    options = parseArgs(rest);
+    if (!options.paths.length) throw new Error("No files given");
+  } catch (error) {
+    err(`pm-markdown: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let normalize;
+  if (options.extensions != null) {
+    const { extensions, unknown } = resolveExtensions(options.extensions);
+    if (unknown.length) {
+      err(`pm-markdown: Unknown extensions: ${unknown.join(", ")}\n`);
+      return 2;
+    }
+    normalize = createMarkdownNormalizer({ extensions });
+  } else {
+    normalize = createMarkdownNormalizer();
+  }
+
+  let files;
+  try {
+    files = await collectFiles(options.paths);
+  } catch (error) {
+    err(`pm-markdown: ${error.message}\n`);
+    return 2;
+  }
+
+  let changedCount = 0;
+  let broken = false;
+  let failed = false;
+  for (const file of files) {
+    let source;
+    try {
+      source = await readFile(file, "utf8");
+    } catch (error) {
+      err(`pm-markdown: ${error.message}\n`);
+      failed = true;
+      continue;
+    }
+
+    const { markdown, changed, diagnostics } = checkMarkdown(source, normalize);
+    for (const { level, code, message, line } of diagnostics) {
+      err(`${file}${line ? `:${line}` : ""}: ${level}: ${message} [${code}]\n`);
+      if (level === "error") broken = true;
+    }
+    if (!changed) continue;
+
+    if (command === "fix") {
+      try {
+        await writeFile(file, markdown, "utf8");
+      } catch (error) {
+        err(`pm-markdown: ${error.message}\n`);
+        failed = true;
+        continue;
+      }
+      out(`fixed ${file}\n`);
+    } else if (options.diff) {
+      const label = (prefix) => (isAbsolute(file) ? file : `${prefix}/${file}`);
+      out(unifiedDiff(source, markdown, { fromFile: label("a"), toFile: label("b") }));
+    } else {
+      out(`${file}\n`);
+    }
+    changedCount++;
+  }
+
+  const total = `${files.length} file${files.length === 1 ? "" : "s"}`;
+  err(command === "fix" ? `Fixed ${changedCount} of ${total}\n` : `${changedCount} of ${total} would change\n`);
+  if (failed) return 2;
+  return broken || (command === "check" && changedCount) ? 1 : 0;
+}
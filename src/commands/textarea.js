@@ -0,0 +1,431 @@
+// Markdown-mode commands: the WYSIWYG shortcuts as plain-text transforms.
+//
+// Commands take { value, from, to } (the textarea value and selection) and
+// return the new { value, from, to }, or null when they don't apply so the
+// browser's default behaviour runs.
+
+const LIST_ITEM = /^(\s*)(?:([-*+])|(\d+)([.)]))(\s+)(\[[ xX]\]\s+)?/;
+const HEADING = /^(#{1,6})(?:\s+|$)/;
+const QUOTE = /^>\s?/;
+const FENCE = /^\s*(```|~~~)/;
+
+// Start and end offsets of the lines touched by the selection. A selection
+// ending right after a newline doesn't include the next line.
+function lineRange({ value, from, to }) {
+  const start = value.lastIndexOf("\n", from - 1) + 1;
+  const last = to > from && value[to - 1] === "\n" ? to - 1 : to;
+  const end = value.indexOf("\n", last);
+  return { start, end: end === -1 ? value.length : end };
+}
+
+// Rewrite every selected line, keeping the selection on the same text (a
+// range that starts a line keeps covering the whole lines)
+function mapLines(state, transform) {
+  const { start, end } = lineRange(state);
+  const lines = state.value.slice(start, end).split("\n");
+  const next = lines.map(transform);
+
+  const firstDelta = next[0].length - lines[0].length;
+  const totalDelta = next.join("\n").length - (end - start);
+  return {
+    value: state.value.slice(0, start) + next.join("\n") + state.value.slice(end),
+    from: state.from === start && state.to > state.from ? start : Math.max(start, state.from + firstDelta),
+    to: Math.max(start, state.to + totalDelta)
+  };
+}
+
+const nonEmpty = (lines) => lines.filter((line) => line.trim() !== "");
+
+function selectedLines(state) {
+  const { start, end } = lineRange(state);
+  return state.value.slice(start, end).split("\n");
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Length of the run of `char` ending before (dir -1) or starting at (dir 1) `index`
+function runLength(value, index, char, dir) {
+  let n = 0;
+  if (dir < 0) while (value[index - 1 - n] === char) n++;
+  else while (value[index + n] === char) n++;
+  return n;
+}
+
+// A delimiter run of `marker`: "*" and "**" share a run of three ("***both***")
+const isMarkerRun = (run, marker) => run === marker.length || (marker !== "`" && run === 3);
+
+/**
+ * The `marker` span on the caret's line that contains the selection, as
+ * { start, end } offsets of its outer edges, or null.
+ */
+export function findWrapSpan({ value, from, to }, marker) {
+  const lineStart = value.lastIndexOf("\n", from - 1) + 1;
+  const lineEnd = value.indexOf("\n", from);
+  const line = value.slice(lineStart, lineEnd === -1 ? value.length : lineEnd);
+  const c = escapeRegExp(marker[0]);
+  const m = escapeRegExp(marker);
+  const pattern = marker === "`"
+    ? /`[^`]+`/g
+    : new RegExp(`(?<!${c})${m}(?![${c}\\s]).*?(?<![${c}\\s])${m}(?!${c})`, "g");
+  for (const match of line.matchAll(pattern)) {
+    const start = lineStart + match.index;
+    const end = start + match[0].length;
+    if (start <= from && to <= end) return { start, end };
+  }
+  return null;
+}
+
+/** Wrap the selection in an inline delimiter, or remove it if already wrapped. */
+export function toggleWrap(marker) {
+  const m = marker.length;
+  const char = marker[0];
+  return (state) => {
+    const { value, from, to } = state;
+    const selected = value.slice(from, to);
+    // Delimiters right outside the selection
+    if (isMarkerRun(runLength(value, from, char, -1), marker) && isMarkerRun(runLength(value, to, char, 1), marker)) {
+      return { value: value.slice(0, from - m) + selected + value.slice(to + m), from: from - m, to: to - m };
+    }
+    // Delimiters selected along with the text
+    if (selected.length > 2 * m && isMarkerRun(runLength(selected, 0, char, 1), marker) &&
+      isMarkerRun(runLength(selected, selected.length, char, -1), marker)) {
+      return { value: value.slice(0, from) + selected.slice(m, -m) + value.slice(to), from, to: to - 2 * m };
+    }
+    // Caret somewhere inside a span: unwrap the whole span
+    const span = findWrapSpan(state, marker);
+    if (span) {
+      const inner = value.slice(span.start + m, span.end - m);
+      const clamp = (pos) => Math.min(Math.max(pos - m, span.start), span.end - 2 * m);
+      return { value: value.slice(0, span.start) + inner + value.slice(span.end), from: clamp(from), to: clamp(to) };
+    }
+    return { value: value.slice(0, from) + marker + selected + marker + value.slice(to), from: from + m, to: to + m };
+  };
+}
+
+/** `[selection]()` with the caret in the parentheses, or `[]()` with it in the brackets. */
+export function insertLink(state) {
+  const { value, from, to } = state;
+  const text = value.slice(from, to);
+  const caret = text ? from + text.length + 3 : from + 1;
+  return { value: `${value.slice(0, from)}[${text}]()${value.slice(to)}`, from: caret, to: caret };
+}
+
+/** Make the selected lines headings of `level`; applying the same level again removes it. */
+export function setHeading(level) {
+  const prefix = "#".repeat(level);
+  return (state) => mapLines(state, (line) => {
+    const match = HEADING.exec(line);
+    const text = match ? line.slice(match[0].length) : line;
+    return match && match[1] === prefix ? text : `${prefix} ${text}`;
+  });
+}
+
+/** Turn headings back into paragraphs. */
+export function setParagraph(state) {
+  return mapLines(state, (line) => {
+    const match = HEADING.exec(line);
+    return match ? line.slice(match[0].length) : line;
+  });
+}
+
+export function toggleBlockquote(state) {
+  const quoted = nonEmpty(selectedLines(state)).every((line) => QUOTE.test(line));
+  return mapLines(state, (line) => {
+    if (quoted) return line.replace(QUOTE, "");
+    return line.trim() === "" ? line : `> ${line}`;
+  });
+}
+
+/** Toggle a bullet (`- `) or ordered (`1. `) list on the selected lines. */
+export function toggleList(ordered) {
+  return (state) => {
+    const lines = selectedLines(state);
+    const isTarget = (line) => {
+      const match = LIST_ITEM.exec(line);
+      return !!match && (ordered ? !!match[3] : !!match[2]);
+    };
+    const remove = nonEmpty(lines).every(isTarget);
+    let n = 0;
+    return mapLines(state, (line) => {
+      if (line.trim() === "") return line;
+      const match = LIST_ITEM.exec(line);
+      const indent = match ? match[1] : "";
+      const text = match ? line.slice(match[0].length) : line;
+      if (remove) return indent + text;
+      n += 1;
+      return `${indent}${ordered ? `${n}.` : "-"} ${text}`;
+    });
+  };
+}
+
+/** Fence the selected lines as a code block, or remove the fences around them. */
+export function toggleCodeFence(state) {
+  const { value } = state;
+  const { start, end } = lineRange(state);
+  const prevStart = value.lastIndexOf("\n", start - 2) + 1;
+  const nextEnd = value.indexOf("\n", end + 1);
+  const prevLine = start > 0 ? value.slice(prevStart, start - 1) : null;
+  const nextLine = end < value.length ? value.slice(end + 1, nextEnd === -1 ? value.length : nextEnd) : null;
+
+  if (prevLine != null && nextLine != null && FENCE.test(prevLine) && FENCE.test(nextLine)) {
+    const removed = start - prevStart;
+    return {
+      value: value.slice(0, prevStart) + value.slice(start, end) + value.slice(nextEnd === -1 ? value.length : nextEnd),
+      from: state.from - removed,
+      to: state.to - removed
+    };
+  }
+
+  const block = value.slice(start, end);
+  return {
+    value: `${value.slice(0, start)}\`\`\`\n${block}\n\`\`\`${value.slice(end)}`,
+    from: state.from + 4,
+    to: state.to + 4
+  };
+}
+
+/**
+ * Enter inside a list item or quote: start the next item (numbers count up,
+ * task items start unchecked), or end the list when the item is empty.
+ * Code fences are left alone; a "- " there is code.
+ */
+export function continueList(state) {
+  const { value, from, to } = state;
+  if (from !== to || isInCodeFence(state)) return null;
+  const start = value.lastIndexOf("\n", from - 1) + 1;
+  const lineEnd = value.indexOf("\n", from);
+  const line = value.slice(start, lineEnd === -1 ? value.length : lineEnd);
+
+  const match = LIST_ITEM.exec(line) || /^(\s*)((?:>\s?)+)/.exec(line);
+  if (!match || from - start < match[0].length) return null;
+
+  if (line.slice(match[0].length).trim() === "") {
+    // Empty item: drop the marker and leave the list
+    return { value: value.slice(0, start) + value.slice(start + line.length), from: start, to: start };
+  }
+
+  let marker;
+  if (match[0].trimStart().startsWith(">")) {
+    marker = match[0];
+  } else {
+    const [, indent, bullet, number, delimiter, space, task] = match;
+    const next = bullet ?? `${Number(number) + 1}${delimiter}`;
+    marker = `${indent}${next}${space}${task ? "[ ] " : ""}`;
+  }
+  const insert = `\n${marker}`;
+  const caret = from + insert.length;
+  return { value: value.slice(0, from) + insert + value.slice(to), from: caret, to: caret };
+}
+
+// Width of a list item's marker ("- " is 2, "10. " is 4): one nesting level
+const markerWidth = (match) => match[0].length - match[1].length - (match[6]?.length ?? 0);
+
+/** Tab on list items: nest them one level deeper. */
+export function indentListItems(state) {
+  if (!nonEmpty(selectedLines(state)).every((line) => LIST_ITEM.test(line))) return null;
+  return mapLines(state, (line) => {
+    const match = LIST_ITEM.exec(line);
+    return match ? " ".repeat(markerWidth(match)) + line : line;
+  });
+}
+
+/** Shift-Tab on list items: move them one level out. */
+export function outdentListItems(state) {
+  const lines = nonEmpty(selectedLines(state));
+  if (!lines.every((line) => LIST_ITEM.test(line))) return null;
+  if (!lines.some((line) => /^\s/.test(line))) return null;
+  return mapLines(state, (line) => {
+    const match = LIST_ITEM.exec(line);
+    if (!match) return line;
+    const remove = Math.min(match[1].length, markerWidth(match));
+    return line.slice(remove);
+  });
+}
+
+const PAIRS = { "(": ")", "[": "]", "`": "`", "*": "*", "_": "_", "~": "~" };
+const CLOSERS = new Set([")", "]"]);
+
+/**
+ * Typing a delimiter: wrap a selection in it, pair brackets before whitespace,
+ * and step over a closing bracket instead of doubling it.
+ */
+export function autoPair(char) {
+  return (state) => {
+    const { value, from, to } = state;
+    const next = value[to];
+    if (from !== to && PAIRS[char]) {
+      const close = PAIRS[char];
+      return { value: value.slice(0, from) + char + value.slice(from, to) + close + value.slice(to), from: from + 1, to: to + 1 };
+    }
+    if (from !== to) return null;
+    if ((char === "(" || char === "[") && (next === undefined || /\s|[)\]]/.test(next))) {
+      return { value: value.slice(0, from) + char + PAIRS[char] + value.slice(to), from: from + 1, to: from + 1 };
+    }
+    if (CLOSERS.has(char) && next === char) return { value, from: from + 1, to: from + 1 };
+    return null;
+  };
+}
+
+// --- Active states, read from the text around the caret ---
+
+/** Whether the selection is inside a `marker` span (bold, italic, inline code). */
+export const isWrapActive = (marker) => (state) => !!findWrapSpan(state, marker);
+
+/** Whether the selection is inside a `[text](url)` link. */
+export function isLinkActive({ value, from, to }) {
+  const lineStart = value.lastIndexOf("\n", from - 1) + 1;
+  const lineEnd = value.indexOf("\n", from);
+  const line = value.slice(lineStart, lineEnd === -1 ? value.length : lineEnd);
+  for (const match of line.matchAll(/!?\[[^\]]*\]\([^)]*\)/g)) {
+    const start = lineStart + match.index;
+    if (start <= from && to <= start + match[0].length) return true;
+  }
+  return false;
+}
+
+/** Heading level (1-6) of the caret's line, 0 for anything else. */
+export function headingLevel(state) {
+  const { start, end } = lineRange({ ...state, to: state.from });
+  const match = HEADING.exec(state.value.slice(start, end));
+  return match ? match[1].length : 0;
+}
+
+/** Whether every selected line is an item of an ordered or bullet list. */
+export const isListActive = (ordered) => (state) => {
+  const lines = nonEmpty(selectedLines(state));
+  return lines.length > 0 && lines.every((line) => {
+    const match = LIST_ITEM.exec(line);
+    return !!match && (ordered ? !!match[3] : !!match[2]);
+  });
+};
+
+export function isBlockquoteActive(state) {
+  const lines = nonEmpty(selectedLines(state));
+  return lines.length > 0 && lines.every((line) => QUOTE.test(line));
+}
+
+/** Whether the caret is between an opening and closing code fence. */
+export function isInCodeFence({ value, from }) {
+  const before = value.slice(0, value.lastIndexOf("\n", from - 1) + 1);
+  const fences = before.split("\n").filter((line) => FENCE.test(line)).length;
+  return fences % 2 === 1;
+}
+
+/** The same shortcuts createMarkdownKeymap binds in WYSIWYG mode (options.headingLevels likewise). */
+export function createTextareaKeymap(options = {}) {
+  const { headingLevels = [1, 2, 3, 4, 5, 6] } = options;
+  const bind = {
+    "Mod-b": toggleWrap("**"),
+    "Mod-i": toggleWrap("*"),
+    "Mod-`": toggleWrap("`"),
+    "Mod-k": insertLink,
+    "Shift-Ctrl-0": setParagraph,
+    "Shift-Ctrl-b": toggleBlockquote,
+    "Shift-Ctrl-\\": toggleCodeFence,
+    "Shift-Ctrl-8": toggleList(false),
+    "Shift-Ctrl-7": toggleList(true),
+    "Enter": continueList,
+    "Tab": indentListItems,
+    "Shift-Tab": outdentListItems
+  };
+  for (const level of headingLevels) bind[`Shift-Ctrl-${level}`] = setHeading(level);
+  return bind;
+}
+
+const IS_MAC = typeof navigator !== "undefined" && /Mac|iP(hone|[oa]d)/.test(navigator.platform);
+
+// Canonical "Alt-Ctrl-Meta-Shift-key" name, as prosemirror-keymap normalizes them
+function normalizeKeyName(name) {
+  const parts = name.split(/-(?!$)/);
+  let key = parts.pop();
+  const mods = { alt: false, ctrl: false, meta: false, shift: false };
+  for (const mod of parts) {
+    if (mod === "Mod") mods[IS_MAC ? "meta" : "ctrl"] = true;
+    else mods[mod.toLowerCase()] = true;
+  }
+  if (key.length === 1) key = key.toLowerCase();
+  return canonical(mods, key);
+}
+
+const canonical = ({ alt, ctrl, meta, shift }, key) =>
+  `${alt ? "Alt-" : ""}${ctrl ? "Ctrl-" : ""}${meta ? "Meta-" : ""}${shift ? "Shift-" : ""}${key}`;
+
+// Use the physical key for letters, digits and punctuation so Shift-Ctrl-1 isn't "!"
+const CODE_KEYS = { Backslash: "\\", Backquote: "`" };
+function eventKeyName(e) {
+  let key = e.key;
+  if (/^Key[A-Z]$/.test(e.code ?? "")) key = e.code.slice(3);
+  else if (/^Digit\d$/.test(e.code ?? "")) key = e.code.slice(5);
+  else if (CODE_KEYS[e.code]) key = CODE_KEYS[e.code];
+  if (key.length === 1) key = key.toLowerCase();
+  return canonical({ alt: e.altKey, ctrl: e.ctrlKey, meta: e.metaKey, shift: e.shiftKey }, key);
+}
+
+/** Whether a keydown event is the shortcut `name` (e.g. "Shift-Mod-f"). */
+export function keyMatches(e, name) {
+  return eventKeyName(e) === normalizeKeyName(name);
+}
+
+// Replace only the changed span, through execCommand where available so the
+// browser's own undo stack records the edit. execCommand edits whatever has
+// focus, so it is only used while that is the textarea.
+function applyEdit(textarea, result) {
+  const old = textarea.value;
+  const next = result.value;
+  if (next !== old) {
+    let prefix = 0;
+    while (prefix < old.length && prefix < next.length && old[prefix] === next[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < old.length - prefix && suffix < next.length - prefix &&
+      old[old.length - 1 - suffix] === next[next.length - 1 - suffix]) suffix++;
+    const text = next.slice(prefix, next.length - suffix);
+
+    textarea.setSelectionRange(prefix, old.length - suffix);
+    const doc = textarea.ownerDocument;
+    let done = false;
+    try {
+      done = doc.activeElement === textarea && typeof doc.execCommand === "function" &&
+        doc.execCommand(text ? "insertText" : "delete", false, text);
+    } catch (e) {
+      done = false;
+    }
+    if (!done || textarea.value !== next) {
+      textarea.value = next;
+      const InputEvent = doc.defaultView?.InputEvent ?? doc.defaultView?.Event;
+      textarea.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertText" }));
+    }
+  }
+  textarea.setSelectionRange(result.from, result.to);
+}
+
+/**
+ * Run a command against a textarea's value and selection. Returns false when
+ * it didn't apply.
+ */
+export function runTextareaCommand(textarea, command) {
+  const result = command({ value: textarea.value, from: textarea.selectionStart, to: textarea.selectionEnd });
+  if (!result) return false;
+  applyEdit(textarea, result);
+  return true;
+}
+
+/**
+ * Keydown handler running textarea commands. Returns a function to pass to
+ * addEventListener("keydown"). options: { autoPair } (default true).
+ */
+export function textareaKeydownHandler(textarea, bindings = createTextareaKeymap(), options = {}) {
+  const { autoPair: pairing = true } = options;
+  const table = {};
+  for (const [name, command] of Object.entries(bindings)) table[normalizeKeyName(name)] = command;
+
+  return (e) => {
+    if (e.defaultPrevented || e.isComposing || textarea.readOnly || textarea.disabled) return;
+    let command = table[eventKeyName(e)];
+    if (!command && pairing && e.key?.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      command = autoPair(e.key);
+    }
+    if (!command) return;
+
+    if (runTextareaCommand(textarea, command)) e.preventDefault();
+  };
+}
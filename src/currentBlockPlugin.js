@@ -0,0 +1,34 @@
+// currentBlockPlugin.js - Mark the top-level block holding the caret
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Decoration, DecorationSet } from "prosemirror-view";
+
+export const currentBlockPluginKey = new PluginKey("current-block");
+
+/**
+ * Adds a class to the top-level block that contains the selection head, so
+ * CSS can fade everything else (the fullscreen mode's dimInactive option).
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} [options.className] - Class for the current block (default "pm-current-block")
+ *
+ * @returns {Plugin} ProseMirror plugin instance
+ */
+export function createCurrentBlockPlugin(options = {}) {
+  const { className = "pm-current-block" } = options;
+
+  return new Plugin({
+    key: currentBlockPluginKey,
+    props: {
+      decorations(state) {
+        const { $head } = state.selection;
+        // Node selections and gap cursors at depth 0 sit right before a top-level block
+        const pos = $head.depth ? $head.before(1) : $head.pos;
+        const node = state.doc.nodeAt(pos);
+        if (!node) return DecorationSet.empty;
+        return DecorationSet.create(state.doc, [Decoration.node(pos, pos + node.nodeSize, { class: className })]);
+      }
+    }
+  });
+}
+
+export default createCurrentBlockPlugin;
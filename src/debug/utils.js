@@ -31,3 +31,9 @@ export function debugLogDispatch(view, tr, beforeTracker, afterTracker) {
   const sel = view.state.selection;
   console.log("selectionAfter", { from: sel.from, to: sel.to });
 }
+
+// Configuration problems (unknown names, invalid values) are reported only in debug mode
+export function debugWarn(message, ...details) {
+  if (!PM_DEBUG()) return;
+  console.warn(`[ProseMirror] ${message}`, ...details);
+}
@@ -0,0 +1,32 @@
+// Extensions by name, for editors configured from markup
+// (<markdown-editor extensions="...">)
+import { enhancedLinkExtension } from "./enhancedLink.js";
+import { tableRowSplittingExtension } from "./tableRowSplitting.js";
+import { tableRowLineBreaksExtension } from "./tableRowLineBreaks.js";
+import { tagfilterExtension } from "./tagfilter.js";
+import { gfmCompliantEscapingExtension } from "./gfmCompliantEscaping.js";
+
+// What the editor uses unless an instance passes its own list
+export const DEFAULT_EXTENSIONS = [enhancedLinkExtension, tableRowSplittingExtension, tagfilterExtension];
+
+export const EXTENSIONS = Object.fromEntries(
+  [enhancedLinkExtension, tableRowSplittingExtension, tableRowLineBreaksExtension, tagfilterExtension, gfmCompliantEscapingExtension]
+    .map((extension) => [extension.name, extension])
+);
+
+/**
+ * Look up a space- or comma-separated list of extension names. "default"
+ * stands for DEFAULT_EXTENSIONS, so "default tableRowLineBreaks" adds one.
+ *
+ * Returns { extensions, unknown } with the names that matched nothing.
+ */
+export function resolveExtensions(list = "") {
+  const extensions = [];
+  const unknown = [];
+  for (const name of String(list).split(/[\s,]+/).filter(Boolean)) {
+    const found = name === "default" ? DEFAULT_EXTENSIONS : EXTENSIONS[name] ? [EXTENSIONS[name]] : null;
+    if (!found) unknown.push(name);
+    else for (const extension of found) if (!extensions.includes(extension)) extensions.push(extension);
+  }
+  return { extensions, unknown };
+}
@@ -1,10 +1,7 @@
 // Table row line breaks extension - handles double pipes as soft breaks
-import { 
-  hasDoublePipes, 
-  convertDoublePipesToSoftBreaks, 
-  convertSoftBreaksToDoublePipes,
-  isTableRowText 
-} from "../utils/patternUtils.js";
+import { isTableRowText } from "../utils/patternUtils.js";
+
+const hasDoublePipes = (text) => text.includes('||');
 
 export const tableRowLineBreaksExtension = {
   name: "tableRowLineBreaks",
@@ -0,0 +1,138 @@
+// headless.js - the editor's markdown pipeline without a DOM
+//
+// The WYSIWYG view parses the textarea with createMarkdownSystem() and writes
+// back what its serializer produces. The same system is assembled here, so
+// normalizeMarkdown() returns exactly what opening and saving a document in
+// the editor would, in plain Node.
+
+import { createMarkdownSystem } from "./markdownSystem.js";
+import { createTagfilterTextProcessingPlugin } from "./extensions/tagfilter.js";
+import { createTableRowTextProcessingPlugin } from "./patternTextProcessingPlugin.js";
+import { DEFAULT_EXTENSIONS } from "./extensions/registry.js";
+
+// Serializer post-processing chain used by the editor unless an instance overrides it
+function createDefaultTextProcessing() {
+  // Create modified table processing without global tilde unescaping to preserve GFM compliance
+  const tableRowPlugin = createTableRowTextProcessingPlugin({
+    globalUnescapeChars: [] // Remove global tilde unescaping to preserve GFM compliance
+  });
+  const tagfilterPlugin = createTagfilterTextProcessingPlugin();
+
+  // Create a simple double tilde unescaping plugin
+  const doubleTildePlugin = {
+    name: "doubleTildeUnescaping",
+    enhanceSerializer(mdSerializer) {
+      const originalSerialize = mdSerializer.serialize.bind(mdSerializer);
+      mdSerializer.serialize = function(content, options) {
+        let result = originalSerialize(content, options);
+
+        // Global double tilde unescaping for strikethrough
+        result = result.replace(/\\~\\~/g, '~~');
+        result = result.replace(/\\\\~~/g, '~~');
+
+        return result;
+      };
+      return mdSerializer;
+    }
+  };
+
+  // Combine plugins by chaining their enhance methods
+  return {
+    name: "combinedTextProcessing",
+    enhanceSerializer(mdSerializer) {
+      // Apply original table processing, then double tilde unescaping, then tagfilter
+      let enhanced = tableRowPlugin.enhanceSerializer(mdSerializer);
+      enhanced = doubleTildePlugin.enhanceSerializer(enhanced);
+      enhanced = tagfilterPlugin.enhanceSerializer(enhanced);
+      return enhanced;
+    }
+  };
+}
+
+/**
+ * Create the markdown system an editor instance uses: its `extensions`
+ * (default: DEFAULT_EXTENSIONS) and `textProcessing` chain (default: the one
+ * above).
+ */
+export function createEditorMarkdownSystem(options = {}) {
+  const extensions = options.extensions || DEFAULT_EXTENSIONS;
+  const textProcessing = options.textProcessing || createDefaultTextProcessing();
+  return createMarkdownSystem(extensions, { textProcessing });
+}
+
+// 1-based number of the first line where a and b differ
+function firstDifferentLine(a, b) {
+  const left = a.split("\n");
+  const right = b.split("\n");
+  let i = 0;
+  while (i < left.length && left[i] === right[i]) i++;
+  return i + 1;
+}
+
+/**
+ * Build a normalizer for repeated use (the markdown system is assembled once).
+ *
+ * options: { extensions, textProcessing } as for createEditor.
+ *
+ * normalize(markdown) returns { markdown, changed, diagnostics }:
+ *   markdown    - the markdown the editor would save
+ *   changed     - whether that differs from the input
+ *   diagnostics - [{ level: "error" | "warning", code, message, line? }]
+ *     parse-error      the parser threw; markdown is the input unchanged
+ *     serialize-error  the serializer threw; markdown is the plain text, as in the editor
+ *     unstable         normalizing the result again changes it, so every save
+ *                      in the editor would alter the document; line is the first difference
+ */
+export function createMarkdownNormalizer(options = {}) {
+  const { mdParser, mdSerializer } = createEditorMarkdownSystem(options);
+
+  function roundTrip(markdown, diagnostics) {
+    let doc;
+    try {
+      doc = mdParser.parse(markdown);
+    } catch (err) {
+      diagnostics.push({ level: "error", code: "parse-error", message: `Failed to parse markdown: ${err.message}` });
+      return null;
+    }
+    try {
+      return mdSerializer.serialize(doc);
+    } catch (err) {
+      diagnostics.push({ level: "error", code: "serialize-error", message: `Failed to serialize, falling back to plain text: ${err.message}` });
+      return doc.textContent || "";
+    }
+  }
+
+  return function normalize(markdown) {
+    const source = String(markdown ?? "");
+    // A textarea hands the editor LF line endings
+    const input = source.replace(/\r\n?/g, "\n");
+    const diagnostics = [];
+
+    const output = roundTrip(input, diagnostics);
+    if (output == null) return { markdown: source, changed: false, diagnostics };
+
+    if (!diagnostics.length) {
+      const again = roundTrip(output, []);
+      if (again !== output) {
+        diagnostics.push({
+          level: "warning",
+          code: "unstable",
+          message: "Normalizing the result again changes it; each save in the editor would alter the document",
+          line: firstDifferentLine(output, again ?? "")
+        });
+      }
+    }
+
+    return { markdown: output, changed: output !== source, diagnostics };
+  };
+}
+
+/**
+ * Normalize markdown the way the WYSIWYG editor does when it opens and saves
+ * a document. Needs no DOM. See createMarkdownNormalizer for the result.
+ *
+ *   const { markdown, changed, diagnostics } = normalizeMarkdown(source);
+ */
+export function normalizeMarkdown(markdown, options = {}) {
+  return createMarkdownNormalizer(options)(markdown);
+}
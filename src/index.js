@@ -1,17 +1,35 @@
-import { EditorState } from "prosemirror-state";
+import { EditorState, TextSelection } from "prosemirror-state";
 import { EditorView } from "prosemirror-view";
+import { keymap } from "prosemirror-keymap";
 import { createMarkdownSystem } from "./markdownSystem.js";
-import { enhancedLinkExtension } from "./extensions/enhancedLink.js";
-import { tableRowSplittingExtension } from "./extensions/tableRowSplitting.js";
-import { tagfilterExtension, createTagfilterTextProcessingPlugin } from "./extensions/tagfilter.js";
 import { gfmCompliantEscapingExtension, createGfmCompliantEscapingPlugin } from "./extensions/gfmCompliantEscaping.js";
-import { createTableRowTextProcessingPlugin } from "./patternTextProcessingPlugin.js";
+import { createEditorMarkdownSystem } from "./headless.js";
+import { resolveToolbarLayout } from "./ui/toolbarItems.js";
+import { readDataOptions } from "./utils/dataOptions.js";
+import { debugWarn } from "./debug/utils.js";
 
 import buildMarkdownPlugins from "./markdownToolbarPlugin.js";
 import htmlLiteralStylingPlugin from "./htmlLiteralStylingPlugin.js";
 import { createTableRowStylingPlugin } from "./patternNodeStylingPlugin.js";
+import { createPlaceholderPlugin } from "./placeholderPlugin.js";
+import { createCurrentBlockPlugin } from "./currentBlockPlugin.js";
+import { createMaxLengthPlugin, maxLengthPluginKey } from "./maxLengthPlugin.js";
 // Removed: import { createTableRowTextProcessingPlugin } from "./patternTextProcessingPlugin.js";
 import { presets } from "./plugins/textProcessing.js";
+import { createEventEmitter } from "./utils/events.js";
+import { bindModePreference, preferenceKeyFor } from "./utils/preferences.js";
+import { createAutosave } from "./utils/autosave.js";
+import { createDirtyTracker, createUnloadGuard } from "./utils/dirtyState.js";
+import { createStatusBar } from "./ui/statusBar.js";
+import { createTextareaToolbar } from "./ui/markdownToolbar.js";
+import { createFullscreen } from "./ui/fullscreen.js";
+import { createSizing } from "./ui/sizing.js";
+import { createFieldSemantics } from "./utils/fieldSemantics.js";
+import { markdownOffsetFromPos, posFromMarkdownOffset } from "./utils/positionMapping.js";
+import { createModeHistory } from "./utils/modeHistory.js";
+import { createScrollSync } from "./utils/scrollSync.js";
+import { sanitizeHtml } from "./utils/htmlSecurity.js";
+import { createTextareaKeymap, textareaKeydownHandler, runTextareaCommand } from "./commands/textarea.js";
 
 // --- Constants ---
 const CSS_CLASSES = {
@@ -23,9 +41,19 @@ const CSS_CLASSES = {
 
 const MODES = {
   MARKDOWN: 'markdown',
-  PROSEMIRROR: 'prosemirror'
+  PROSEMIRROR: 'prosemirror',
+  SPLIT: 'split',
+  PREVIEW: 'preview'
 };
 
+const isValidMode = (mode) => Object.values(MODES).includes(mode);
+
+// Transaction meta marking split-view updates parsed from the textarea
+const FROM_SOURCE = "pm-from-source";
+
+// Debounce (ms) before WYSIWYG edits are serialized into the textarea
+const DEFAULT_SYNC_DELAY = 300;
+
 // --- Active-editor registry (works even with multiple editors) ---
 const REGISTRY_KEY = Symbol.for("app/active-editor-registry");
 const ACTIVE = (globalThis[REGISTRY_KEY] ??= new WeakMap());
@@ -33,7 +61,7 @@ const isTextarea = (el) => el && el.nodeType === 1 && el.tagName === "TEXTAREA";
 const nearestForm = (el) => el?.closest?.("form") ?? null;
 
 function markActive(el, mode, instance) {
-  ACTIVE.set(el, { mode, instance });
+  ACTIVE.set(el, { mode, instance, editor: instance.options?.editor ?? null });
   // el.dataset.editorMode = mode; // (optional) visible in devtools
 }
 
@@ -58,6 +86,7 @@ function getOuterHeight(node) {
   return rect ? rect.height : 0;
 }
 
+// Pin the wrapper's height while callback() swaps its content, then let it size itself
 function preserveHeight(wrapper, callback) {
   const prevHeight = getOuterHeight(wrapper);
   if (prevHeight > 0) {
@@ -69,19 +98,54 @@ function preserveHeight(wrapper, callback) {
   });
 }
 
+// Item keys for the `toolbar.items` layout; undefined shows every item
+function toolbarLayout(toolbar) {
+  if (!toolbar?.items) return undefined;
+  const { layout, unknown } = resolveToolbarLayout(toolbar.items);
+  if (unknown.length) debugWarn(`Unknown toolbar items: ${unknown.join(", ")}`);
+  return layout;
+}
+
+// Normalize the `toolbar` and `headingLevels` options into buildMarkdownPlugins options
+function toolbarOptions({ toolbar, headingLevels }) {
+  if (toolbar === false) return { toolbar: false, headingLevels };
+  return { codeJoinMode: "smart", ...(toolbar || {}), items: toolbarLayout(toolbar), headingLevels };
+}
+
 // --- Base View Class ---
 class BaseView {
   static isActive(el) { return ACTIVE.get(el)?.mode === this.MODE; }
   static activeMode(el) { return ACTIVE.get(el)?.mode ?? null; }
   static activeInstance(el) { return ACTIVE.get(el)?.instance ?? null; }
 
-  constructor(target) {
+  constructor(target, options = {}) {
     this.root = target;
+    this.options = options;
     this._destroyed = false;
-    markActive(this.root, this.constructor.MODE, this);
+    // Panes of a split view are registered through the split view itself
+    if (!options.embedded) markActive(this.root, this.constructor.MODE, this);
   }
 
   get mode() { return this.constructor.MODE; }
+
+  // Forward to the owning editor's emitter (set by wireEditorToggle)
+  emit(type, detail) { this.options.emit?.(type, detail); }
+
+  // Re-read readonly/disabled from the field of record (textareas enforce these natively)
+  refreshAccess() {}
+
+  // Selection as { from, to } offsets into `markdown` (the content being handed to the next view)
+  getMarkdownSelection(_markdown) { return null; }
+  setMarkdownSelection(_selection, _markdown) {}
+
+  // Write any pending (debounced) content into the textarea now
+  flush() {}
+
+  // The view's top-level elements in the page, in order (fullscreen moves these)
+  frameElements() { return [this.root]; }
+
+  // Elements whose height the sizing options control
+  sizeTargets() { return []; }
   
   destroy() {
     if (this._destroyed) return;
@@ -90,11 +154,39 @@ class BaseView {
   }
 }
 
+// "undo" / "redo" for the platform-neutral history shortcuts, otherwise null
+function historyDirection(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const key = e.key?.toLowerCase();
+  if (key === "z") return e.shiftKey ? "redo" : "undo";
+  if (key === "y" && !e.shiftKey) return "redo";
+  return null;
+}
+
+// Toolbar hook for the fullscreen button, when the editor has fullscreen enabled
+function fullscreenControl(options) {
+  const { editor } = options;
+  if (!options.fullscreen || !editor) return undefined;
+  return { toggle: () => editor.toggleFullscreen(), isActive: () => editor.fullscreen };
+}
+
+// ProseMirror's history runs first; these only fire once it has nothing left
+function checkpointKeymap(view) {
+  const fallback = (direction) => () => {
+    const checkpoints = view.options.checkpoints;
+    if (!checkpoints?.can(direction)) return false;
+    // Stepping rebuilds the view, so don't do it from inside its own key handler
+    setTimeout(() => checkpoints.step(direction), 0);
+    return true;
+  };
+  return keymap({ "Mod-z": fallback("undo"), "Shift-Mod-z": fallback("redo"), "Mod-y": fallback("redo") });
+}
+
 class MarkdownView extends BaseView {
   static MODE = MODES.MARKDOWN;
 
-  constructor(target, content = "") {
-    super(target);
+  constructor(target, content = "", options = {}) {
+    super(target, options);
 
     if (isTextarea(target)) {
       this.textarea = target; // the form field of record
@@ -108,28 +200,121 @@ class MarkdownView extends BaseView {
       target.appendChild(this.textarea);
       this._ownsTextarea = true;
     }
+
+    this._onInput = () => this.emit("change", { markdown: this.textarea.value });
+    this._onFocus = () => this.emit("focus");
+    this._onBlur = () => this.emit("blur");
+    this.textarea.addEventListener("input", this._onInput);
+    this.textarea.addEventListener("focus", this._onFocus);
+    this.textarea.addEventListener("blur", this._onBlur);
+
+    // The native undo stack can't be inspected: let the browser try first and
+    // fall back to the editor's checkpoints if it had nothing to undo
+    this._onKeyDown = (e) => {
+      const direction = historyDirection(e);
+      if (!direction || !this.options.checkpoints?.can(direction)) return;
+      this._pendingHistory = direction;
+      clearTimeout(this._historyTimer);
+      this._historyTimer = setTimeout(() => {
+        if (this._pendingHistory !== direction) return;
+        this._pendingHistory = null;
+        this.options.checkpoints.step(direction);
+      }, 0);
+    };
+    this._onBeforeInput = (e) => {
+      if (e.inputType === "historyUndo" || e.inputType === "historyRedo") this._pendingHistory = null;
+    };
+    this.textarea.addEventListener("keydown", this._onKeyDown);
+    this.textarea.addEventListener("beforeinput", this._onBeforeInput);
+
+    // Same formatting shortcuts as the WYSIWYG keymap, applied to the markdown text
+    const shortcuts = this.options.markdownShortcuts;
+    if (shortcuts !== false) {
+      this._onShortcut = textareaKeydownHandler(this.textarea, createTextareaKeymap({ headingLevels: options.headingLevels }), shortcuts === true ? {} : shortcuts);
+      this.textarea.addEventListener("keydown", this._onShortcut);
+    }
+
+    if (options.toolbar !== false) {
+      this.toolbar = createTextareaToolbar(this.textarea, {
+        items: toolbarLayout(options.toolbar),
+        headingLevels: options.headingLevels,
+        fullscreen: fullscreenControl(options)
+      });
+    }
   }
 
   get content() { return this.textarea.value; }
   focus() { this.textarea.focus(); }
+  frameElements() { return [this.toolbar?.element, this.textarea].filter(Boolean); }
+  sizeTargets() { return [this.textarea]; }
+
+  // The textarea enforces readonly itself; only the toolbar needs telling
+  refreshAccess() { this.toolbar?.update(); }
+
+  setMarkdown(markdown, { addToHistory = true } = {}) {
+    if (markdown === this.textarea.value) return;
+    const caret = Math.min(this.textarea.selectionEnd ?? 0, markdown.length);
+    if (addToHistory) {
+      // As an edit, so the browser's undo can take it back
+      runTextareaCommand(this.textarea, () => ({ value: markdown, from: caret, to: caret }));
+    } else {
+      this.textarea.value = markdown;
+      this.textarea.setSelectionRange(caret, caret);
+      this.emit("change", { markdown });
+    }
+  }
+
+  getMarkdownSelection() {
+    return { from: this.textarea.selectionStart ?? 0, to: this.textarea.selectionEnd ?? 0 };
+  }
+
+  setMarkdownSelection({ from, to }, markdown = this.textarea.value) {
+    this.textarea.setSelectionRange(from, to);
+    // Textareas don't scroll to the caret on their own; estimate from the line number
+    const line = markdown.slice(0, from).split("\n").length - 1;
+    const lines = markdown.split("\n").length;
+    const { scrollHeight, clientHeight } = this.textarea;
+    if (scrollHeight > clientHeight) {
+      this.textarea.scrollTop = Math.max(0, (line / lines) * scrollHeight - clientHeight / 2);
+    }
+  }
   
   destroy() {
     if (this._destroyed) return;
+    this.textarea.removeEventListener("input", this._onInput);
+    this.textarea.removeEventListener("focus", this._onFocus);
+    this.textarea.removeEventListener("blur", this._onBlur);
+    this.textarea.removeEventListener("keydown", this._onKeyDown);
+    this.textarea.removeEventListener("beforeinput", this._onBeforeInput);
+    if (this._onShortcut) this.textarea.removeEventListener("keydown", this._onShortcut);
+    this.toolbar?.destroy();
+    clearTimeout(this._historyTimer);
     if (this._ownsTextarea) this.textarea.remove();
     super.destroy();
   }
 }
 
+// An explicit option wins; otherwise reuse the textarea's own placeholder (false disables)
+function placeholderText(option, mirror) {
+  if (option === false) return "";
+  return option ?? mirror?.getAttribute("placeholder") ?? "";
+}
+
 class ProseMirrorView extends BaseView {
   static MODE = MODES.PROSEMIRROR;
 
-  constructor(target, content = "") {
-    super(target);
+  constructor(target, content = "", options = {}) {
+    super(target, options);
 
     let mountEl;
     let initialMarkdown;
 
-    if (isTextarea(target)) {
+    if (isTextarea(target) && options.mount) {
+      // Split view: the textarea stays visible beside the editor and is still its mirror
+      this.mirror = target;
+      initialMarkdown = content ?? target.value ?? "";
+      mountEl = options.mount;
+    } else if (isTextarea(target)) {
       // Use the textarea as the mirror (field submitted to PHP)
       this.mirror = target;
       initialMarkdown = content != null && content !== "" ? content : (target.value ?? "");
@@ -156,50 +341,21 @@ class ProseMirrorView extends BaseView {
       this._ownsMirror = true;
     }
 
-    // Create modified table processing without global tilde unescaping to preserve GFM compliance
-    const tableRowPlugin = createTableRowTextProcessingPlugin({
-      globalUnescapeChars: [] // Remove global tilde unescaping to preserve GFM compliance
-    });
-    const tagfilterPlugin = createTagfilterTextProcessingPlugin();
-    
-    // Create a simple double tilde unescaping plugin
-    const doubleTildePlugin = {
-      name: "doubleTildeUnescaping",
-      enhanceSerializer(mdSerializer) {
-        const originalSerialize = mdSerializer.serialize.bind(mdSerializer);
-        mdSerializer.serialize = function(content, options) {
-          let result = originalSerialize(content, options);
-          
-          // Global double tilde unescaping for strikethrough
-          result = result.replace(/\\~\\~/g, '~~');
-          result = result.replace(/\\\\~~/g, '~~');
-          
-          return result;
-        };
-        return mdSerializer;
-      }
-    };
-    
-    // Combine plugins by chaining their enhance methods
-    const combinedTextProcessing = {
-      name: "combinedTextProcessing",  
-      enhanceSerializer(mdSerializer) {
-        // Apply original table processing, then double tilde unescaping, then tagfilter
-        let enhanced = tableRowPlugin.enhanceSerializer(mdSerializer);
-        enhanced = doubleTildePlugin.enhanceSerializer(enhanced);
-        enhanced = tagfilterPlugin.enhanceSerializer(enhanced);
-        return enhanced;
-      }
-    };
+    // Assemble the markdown system from per-instance options (or the defaults)
+    const { schema, mdParser, mdSerializer, keymapPlugins } = createEditorMarkdownSystem(options);
 
-    // Create markdown system with extensions and combined text processing
-    const markdownSystem = createMarkdownSystem([enhancedLinkExtension, tableRowSplittingExtension, tagfilterExtension], {
-      textProcessing: combinedTextProcessing
-    });
-    const { schema, mdParser, mdSerializer, keymapPlugins } = markdownSystem;
-    
-    // Store serializer for later use
+    // Store serializer and parser for later use
     this.mdSerializer = mdSerializer;
+    this.mdParser = mdParser;
+
+    // Labels, help text and validation of the hidden textarea move to the editor
+    if (this._createdMount) {
+      this.field = createFieldSemantics(this.mirror, {
+        anchor: this._createdMount,
+        focus: () => this.focus(),
+        refresh: () => this.refreshAccess()
+      });
+    }
 
     // Build the editor and keep the textarea in sync on every transaction
     this.view = new EditorView(mountEl, {
@@ -207,27 +363,60 @@ class ProseMirrorView extends BaseView {
         schema,
         doc: mdParser.parse(initialMarkdown),
         plugins: [
-          ...buildMarkdownPlugins(schema, { codeJoinMode: "smart" }),
+          ...(options.plugins || []),
+          ...buildMarkdownPlugins(schema, { ...toolbarOptions(options), fullscreen: fullscreenControl(options) }),
+          checkpointKeymap(this),
           ...keymapPlugins,
           htmlLiteralStylingPlugin({ className: "pm-html-literal" }),
           createTableRowStylingPlugin({ 
             serializer: mdSerializer
           }),
+          ...(options.fullscreen?.dimInactive ? [createCurrentBlockPlugin()] : []),
+          createPlaceholderPlugin({
+            text: placeholderText(options.placeholder, this.mirror),
+            blocks: options.blockPlaceholders
+          }),
+          // Markdown mode gets maxlength from the browser; here it applies to the serialized output
+          createMaxLengthPlugin({
+            serialize: (doc) => safeSerialize(mdSerializer, doc),
+            getMaxLength: () => this.mirror.maxLength ?? -1
+          }),
         ],
       }),
+      // The textarea's readonly/disabled attributes decide whether the editor is editable
+      editable: () => !this.readOnly,
+      attributes: () => ({
+        ...this.field?.attributes(),
+        ...(this.readOnly ? { "aria-readonly": "true" } : {})
+      }),
       dispatchTransaction: (tr) => {
         const newState = this.view.state.apply(tr);
         this.view.updateState(newState);
-        this._scheduleSync();
+        // Content parsed from the textarea (split view) already matches it
+        if (!tr.docChanged || tr.getMeta(FROM_SOURCE)) return;
+        if (this.options.syncOnChange !== false) this._scheduleSync();
+        // Serialize lazily so listeners that ignore the markdown cost nothing
+        const view = this;
+        this.emit("change", { get markdown() { return view.content; } });
+      },
+      handleDOMEvents: {
+        focus: () => { this.emit("focus"); return false; },
+        blur: () => {
+          // Submitting starts with constraint validation, before any submit listener runs
+          if (this._syncScheduled) this._syncToMirror(true);
+          this.emit("blur");
+          return false;
+        }
       }
     });
 
-    // Initial sync so the textarea has the right value immediately
-    this._syncToMirror(true);
+    // Initial sync so the textarea has the right value immediately (in a split
+    // view the textarea is what the document was parsed from; leave it as typed)
+    if (!options.mount) this._syncToMirror(true);
 
     // Final sync before PHP receives POST
     this.form = nearestForm(this.mirror) || nearestForm(mountEl);
-    if (this.form) {
+    if (this.form && options.syncOnSubmit !== false) {
       this._onSubmit = () => this._syncToMirror(true);
       this.form.addEventListener("submit", this._onSubmit);
     }
@@ -235,13 +424,27 @@ class ProseMirrorView extends BaseView {
     // markActive called by super()
   }
 
+  get readOnly() { return !!(this.mirror?.readOnly || this.mirror?.disabled); }
+
+  // The hidden textarea goes along so the next view is built in the same place
+  frameElements() { return [this._createdMount ?? this.view.dom, this.mirror]; }
+  sizeTargets() { return [this.view.dom]; }
+
+  // Props are functions of the mirror's attributes; re-running them updates the view and toolbar
+  refreshAccess() { this.view?.setProps({}); }
+
   // Serialize editor → textarea (debounced for performance)
   _syncToMirror(force = false) {
-    if (!this.mirror) return;
+    // Disabled fields are not submitted; leave their value alone
+    if (!this.mirror || this.mirror.disabled) return;
     const run = () => {
       this._syncScheduled = false;
+      this.emit("beforesync");
       const md = safeSerialize(this.mdSerializer, this.view.state.doc);
-      if (this.mirror.value !== md) this.mirror.value = md;
+      const changed = this.mirror.value !== md;
+      if (changed) this.mirror.value = md;
+      this.field?.update();
+      this.emit("aftersync", { markdown: md, changed });
     };
     if (force) {
       if (this._debounceTimer) clearTimeout(this._debounceTimer);
@@ -255,16 +458,72 @@ class ProseMirrorView extends BaseView {
       if (this._debounceTimer) clearTimeout(this._debounceTimer);
       this._debounceTimer = setTimeout(() => {
         this._raf = requestAnimationFrame(run);
-      }, 300);
+      }, this.options.syncDelay ?? DEFAULT_SYNC_DELAY);
     }
   }
   _scheduleSync() { this._syncToMirror(false); }
 
+  flush() { if (this._syncScheduled) this._syncToMirror(true); }
+
+  // A transaction turning the document into `doc`, replacing only the range
+  // that differs so the selection stays put (null when nothing differs)
+  _replaceDocument(doc) {
+    const { state } = this.view;
+    const start = doc.content.findDiffStart(state.doc.content);
+    if (start == null) return null;
+    let { a: endA, b: endB } = doc.content.findDiffEnd(state.doc.content);
+    // Repeated text can make the two ends overlap the start
+    const overlap = start - Math.min(endA, endB);
+    if (overlap > 0) { endA += overlap; endB += overlap; }
+    try {
+      return state.tr.replace(start, endB, doc.slice(start, endA));
+    } catch (err) {
+      return state.tr.replaceWith(0, state.doc.content.size, doc.content);
+    }
+  }
+
+  // Content set by the host page is not subject to maxlength
+  setMarkdown(markdown, { addToHistory = true } = {}) {
+    const tr = this._replaceDocument(this.mdParser.parse(markdown));
+    if (tr) this.view.dispatch(tr.setMeta("addToHistory", addToHistory).setMeta(maxLengthPluginKey, { skip: true }));
+    this._syncToMirror(true);
+  }
+
   get content() {
     return safeSerialize(this.mdSerializer, this.view.state.doc);
   }
   
-  focus() { this.view.focus(); }
+  focus() { this.view?.focus(); }
+
+  _tokenize(markdown) { return this.mdParser.tokenizer.parse(markdown, {}); }
+
+  getMarkdownSelection(markdown = this.content) {
+    const { doc, selection } = this.view.state;
+    const tokenize = (md) => this._tokenize(md);
+    // A range keeps its markup outside (`**|bold|**`) so it selects the same text
+    if (selection.empty) {
+      const at = markdownOffsetFromPos(doc, selection.from, markdown, tokenize);
+      return { from: at, to: at };
+    }
+    const from = markdownOffsetFromPos(doc, selection.from, markdown, tokenize, 1);
+    const to = markdownOffsetFromPos(doc, selection.to, markdown, tokenize, -1);
+    return { from, to };
+  }
+
+  setMarkdownSelection({ from, to }, markdown = this.content) {
+    const { state } = this.view;
+    const tokenize = (md) => this._tokenize(md);
+    const fromPos = posFromMarkdownOffset(state.doc, from, markdown, tokenize);
+    const toPos = to === from ? fromPos : posFromMarkdownOffset(state.doc, to, markdown, tokenize);
+    const selection = TextSelection.between(state.doc.resolve(fromPos), state.doc.resolve(toPos));
+    const tr = state.tr.setSelection(selection);
+    try {
+      this.view.dispatch(tr.scrollIntoView());
+    } catch (e) {
+      // Scrolling needs layout (unavailable in test environments); keep the selection
+      if (!this.view.state.selection.eq(selection)) this.view.dispatch(state.tr.setSelection(selection));
+    }
+  }
   
   destroy() {
     if (this._destroyed) return;
@@ -286,6 +545,9 @@ class ProseMirrorView extends BaseView {
       this._onSubmit = null;
     }
     
+    this.field?.destroy();
+    this.field = null;
+
     // Clean up editor
     if (this.view) {
       this.view.destroy();
@@ -297,7 +559,7 @@ class ProseMirrorView extends BaseView {
       this._createdMount.remove();
       this._createdMount = null;
     }
-    if (this.mirror && isTextarea(this.root)) {
+    if (this.mirror && isTextarea(this.root) && !this.options.mount) {
       // restore original textarea visibility
       this.mirror.style.display = this._prevDisplay || "";
     }
@@ -312,22 +574,254 @@ class ProseMirrorView extends BaseView {
   }
 }
 
+// --- Split View: markdown source beside the WYSIWYG editor ---
+// Source edits are parsed into the document after a short pause; WYSIWYG edits
+// reach the textarea through the usual debounced sync. On narrow screens the
+// panes collapse into tabs (see .pm-split in baseline.css).
+const SPLIT_PARSE_DELAY = 150;
+const SPLIT_PANES = [["source", "Markdown"], ["wysiwyg", "WYSIWYG"]];
+
+class SplitView extends BaseView {
+  static MODE = MODES.SPLIT;
+
+  constructor(target, content = "", options = {}) {
+    super(target, options);
+    this.activePane = "source";
+
+    this.container = document.createElement("div");
+    this.container.className = "pm-split";
+    this.tabs = document.createElement("div");
+    this.tabs.className = "pm-split-tabs";
+    this.tabs.setAttribute("role", "tablist");
+    this.tabs.setAttribute("aria-label", "Editor panes");
+    for (const [pane, label] of SPLIT_PANES) {
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.setAttribute("role", "tab");
+      tab.dataset.pane = pane;
+      tab.textContent = label;
+      tab.addEventListener("click", () => this.showPane(pane));
+      this.tabs.appendChild(tab);
+    }
+    this.sourcePane = document.createElement("div");
+    this.sourcePane.className = "pm-split-pane pm-split-source";
+    this.wysiwygPane = document.createElement("div");
+    this.wysiwygPane.className = `${CSS_CLASSES.EDITOR_CONTAINER} pm-split-pane pm-split-wysiwyg`;
+    this.container.append(this.tabs, this.sourcePane, this.wysiwygPane);
+
+    // The textarea moves into the source pane; destroy() puts it back
+    target.insertAdjacentElement("beforebegin", this.container);
+    this.sourcePane.appendChild(target);
+
+    const paneOptions = (pane) => ({ ...options, embedded: true, emit: (type, detail) => this._onPaneEvent(pane, type, detail) });
+    this.source = new MarkdownView(target, content, paneOptions("source"));
+    this.wysiwyg = new ProseMirrorView(target, content, { ...paneOptions("wysiwyg"), mount: this.wysiwygPane });
+
+    this.scrollSync = createScrollSync({
+      textarea: target,
+      view: this.wysiwyg.view,
+      tokenize: (markdown) => this.wysiwyg._tokenize(markdown)
+    });
+    this._showTab(this.activePane);
+  }
+
+  // The WYSIWYG pane's EditorView and the source textarea, as in the single-mode views
+  get view() { return this.wysiwyg?.view ?? null; }
+  get textarea() { return this.source?.textarea ?? null; }
+
+  // The textarea is current unless a WYSIWYG edit is still waiting for its sync
+  get content() {
+    this.flush();
+    return this.source.content;
+  }
+
+  flush() { this.wysiwyg.flush(); }
+  frameElements() { return [this.container]; }
+  sizeTargets() { return [this.source.textarea, this.wysiwyg.view.dom]; }
+
+  setMarkdown(markdown, options) {
+    this.source.setMarkdown(markdown, options);
+    this._syncFromSource();
+  }
+
+  focus() { (this.activePane === "wysiwyg" ? this.wysiwyg : this.source).focus(); }
+
+  // Which pane is visible when the layout collapses to tabs
+  showPane(pane) {
+    this._showTab(pane);
+    this.activePane = pane;
+    this.focus();
+    if (pane === "wysiwyg") this.scrollSync.sourceToView();
+    else this.scrollSync.viewToSource();
+  }
+
+  _showTab(pane) {
+    this.container.dataset.splitTab = pane;
+    for (const tab of this.tabs.children) tab.setAttribute("aria-selected", String(tab.dataset.pane === pane));
+  }
+
+  _onPaneEvent(pane, type, detail) {
+    if (type === "focus") {
+      this.activePane = pane;
+      // Finish pending work from the other pane before this one is edited
+      if (pane === "source") this.wysiwyg.flush();
+      if (pane === "wysiwyg" && this._parseTimer) this._syncFromSource();
+    }
+    if (type === "change" && pane === "source") {
+      clearTimeout(this._parseTimer);
+      this._parseTimer = setTimeout(() => this._syncFromSource(), SPLIT_PARSE_DELAY);
+    }
+    this.emit(type, detail);
+  }
+
+  // Parse the textarea into the document, replacing only the blocks that
+  // changed so the WYSIWYG selection and scroll position stay put
+  _syncFromSource() {
+    clearTimeout(this._parseTimer);
+    this._parseTimer = null;
+    if (this._destroyed) return;
+    const markdown = this.source.content;
+    let doc;
+    try {
+      doc = this.wysiwyg.mdParser.parse(markdown);
+    } catch (err) {
+      console.error("Failed to parse markdown source, keeping the current document", err);
+      return;
+    }
+
+    const tr = this.wysiwyg._replaceDocument(doc);
+    if (tr) {
+      this.wysiwyg.view.dispatch(tr
+        .setMeta(FROM_SOURCE, true)
+        .setMeta(maxLengthPluginKey, { skip: true })
+        .setMeta("addToHistory", false));
+    }
+    this.emit("aftersync", { markdown, changed: false });
+  }
+
+  getMarkdownSelection(markdown) {
+    return (this.activePane === "wysiwyg" ? this.wysiwyg : this.source).getMarkdownSelection(markdown);
+  }
+
+  setMarkdownSelection(selection, markdown = this.source.content) {
+    this.source.setMarkdownSelection(selection, markdown);
+    try { this.wysiwyg.setMarkdownSelection(selection, markdown); } catch (e) { /* keep the default */ }
+  }
+
+  refreshAccess() {
+    this.source.refreshAccess();
+    this.wysiwyg.refreshAccess();
+  }
+
+  destroy() {
+    if (this._destroyed) return;
+    clearTimeout(this._parseTimer);
+    this.scrollSync.destroy();
+    this.wysiwyg.destroy();
+    this.source.destroy();
+    this.container.replaceWith(this.root);
+    super.destroy();
+  }
+}
+
+// --- Preview View: the markdown rendered as the site publishes it ---
+// Rendered by the same markdown-it instance (and extensions) the WYSIWYG view
+// parses with. Read-only: the textarea stays hidden and unchanged.
+class PreviewView extends BaseView {
+  static MODE = MODES.PREVIEW;
+
+  constructor(target, content = "", options = {}) {
+    super(target, options);
+    this.mirror = target;
+    this._markdown = content != null && content !== "" ? content : (target.value ?? "");
+    this._selection = null;
+
+    const { mdParser } = createEditorMarkdownSystem(options);
+    this.element = document.createElement("div");
+    this.element.className = "pm-preview";
+    this.element.tabIndex = 0;
+    this.element.setAttribute("role", "document");
+    this.element.setAttribute("aria-label", "Preview");
+    this._render = () => { this.element.innerHTML = sanitizeHtml(mdParser.tokenizer.render(this._markdown)); };
+    this._render();
+    target.insertAdjacentElement("beforebegin", this.element);
+
+    this._prevDisplay = target.style.display;
+    target.style.display = "none";
+
+    // The hidden textarea's label, help text and validation errors show on the preview
+    this.field = createFieldSemantics(target, {
+      anchor: this.element,
+      focus: () => this.focus(),
+      refresh: () => this.refreshAccess()
+    });
+    this.refreshAccess();
+
+    this._onFocus = () => this.emit("focus");
+    this._onBlur = () => this.emit("blur");
+    this.element.addEventListener("focus", this._onFocus);
+    this.element.addEventListener("blur", this._onBlur);
+  }
+
+  get content() { return this._markdown; }
+  focus() { this.element.focus(); }
+  frameElements() { return [this.element, this.mirror]; }
+  sizeTargets() { return [this.element]; }
+
+  // The preview is a document, not a textbox: it takes the field's naming and error state only
+  refreshAccess() {
+    const attrs = this.field.attributes();
+    for (const name of ["aria-labelledby", "aria-describedby", "aria-invalid"]) {
+      if (attrs[name]) this.element.setAttribute(name, attrs[name]);
+      else this.element.removeAttribute(name);
+    }
+  }
+
+  setMarkdown(markdown) {
+    if (markdown === this._markdown) return;
+    this._markdown = markdown;
+    this.mirror.value = markdown;
+    this._render();
+    this.field.update();
+    this.emit("change", { markdown });
+  }
+
+  // Nothing to select here; hold on to the caret for the next editing view
+  getMarkdownSelection() { return this._selection; }
+  setMarkdownSelection(selection) { this._selection = selection; }
+
+  destroy() {
+    if (this._destroyed) return;
+    this.element.removeEventListener("focus", this._onFocus);
+    this.element.removeEventListener("blur", this._onBlur);
+    this.field.destroy();
+    this.element.remove();
+    this.mirror.style.display = this._prevDisplay || "";
+    super.destroy();
+  }
+}
+
 // Optional helper
 function getActiveEditorMode(el) {
-  return ACTIVE.get(el)?.mode ?? null; // "markdown" | "prosemirror" | null
+  return ACTIVE.get(el)?.mode ?? null; // "markdown" | "prosemirror" | "split" | "preview" | null
 }
 
 // Helper: read current mode from helper (or fallback)
 const readMode = (el) => (typeof getActiveEditorMode === "function" ? getActiveEditorMode(el) : null);
 
 // Label helper
-const labelFor = (mode) => (mode === "markdown" ? "Use WYSIWYG Editor" : "Use Markdown editor");
+const labelFor = (mode) => {
+  if (mode === MODES.MARKDOWN) return "Use WYSIWYG Editor";
+  if (mode === MODES.PREVIEW) return "Back to editing";
+  return "Use Markdown editor";
+};
 
 // View factory
-function createView(mode, target, content) {
-  return mode === MODES.MARKDOWN 
-    ? new MarkdownView(target, content)
-    : new ProseMirrorView(target, content);
+function createView(mode, target, content, options = {}) {
+  if (mode === MODES.MARKDOWN) return new MarkdownView(target, content, options);
+  if (mode === MODES.SPLIT && isTextarea(target)) return new SplitView(target, content, options);
+  if (mode === MODES.PREVIEW && isTextarea(target)) return new PreviewView(target, content, options);
+  return new ProseMirrorView(target, content, options);
 }
 
 // Mode detection from data attributes
@@ -336,9 +830,6 @@ function detectModeFromElement(element) {
   const dataEditor = element.getAttribute('data-editor');
   const dataEditorMode = element.getAttribute('data-editor-mode');
   
-  // Validate mode values
-  const isValidMode = (mode) => mode === MODES.MARKDOWN || mode === MODES.PROSEMIRROR;
-  
   if (isValidMode(dataEditor)) return dataEditor;
   if (isValidMode(dataEditorMode)) return dataEditorMode;
   
@@ -346,33 +837,89 @@ function detectModeFromElement(element) {
   return MODES.PROSEMIRROR;
 }
 
+// A forced mode beats the user's remembered choice, which beats the configured default
+function resolveInitialMode(element, requestedMode, preference) {
+  const forced = element.getAttribute('data-editor-force-mode');
+  if (isValidMode(forced)) return forced;
+
+  const remembered = preference?.get();
+  if (isValidMode(remembered)) return remembered;
+
+  return isValidMode(requestedMode) ? requestedMode : detectModeFromElement(element);
+}
+
 // Wire a single element + button  
-function wireEditorToggle(element, initialMode = MODES.PROSEMIRROR) {
+function wireEditorToggle(element, initialMode = MODES.PROSEMIRROR, options = {}, preference = null) {
+  const events = createEventEmitter(element);
+
+  // Snapshot what we touch so destroy() can restore the textarea exactly
+  const original = {
+    id: element.getAttribute("id"),
+    style: element.getAttribute("style")
+  };
+  // Read before an id may be generated below; generated ids change on every load
+  const fieldKey = preferenceKeyFor(element);
 
   let btn = element.parentElement?.querySelector("button");
+  let btnWrapper = null;
+  let btnSnapshot = null;
   if (!btn) {
     // Create toggle button wrapper and button
-    const btnWrapper = document.createElement("div");
+    btnWrapper = document.createElement("div");
     btnWrapper.className = "pm-editor-controls";
     
-    btn = document.createElement("button");
-    btn.type = "button";
-    btn.setAttribute("aria-label", "Toggle editor mode");
-    btn.setAttribute("aria-controls", element.id || `editor-${Date.now()}`);
-    btn.className = CSS_CLASSES.TOGGLE_BUTTON;
-    
     // Ensure element has ID for aria-controls
     if (!element.id) {
       element.id = `editor-${Date.now()}`;
     }
+
+    btn = document.createElement("button");
+    btn.type = "button";
+    btn.setAttribute("aria-label", "Toggle editor mode");
+    btn.setAttribute("aria-controls", element.id);
+    btn.className = CSS_CLASSES.TOGGLE_BUTTON;
     
     btnWrapper.appendChild(btn);
     element.parentElement.insertBefore(btnWrapper, element);
+  } else {
+    btnSnapshot = {
+      text: btn.textContent,
+      attrs: ["data-editor-mode", "aria-pressed", "title", "hidden"].map((name) => [name, btn.getAttribute(name)])
+    };
   }
 
-  // Use the provided initial mode
-  // Create initial view
-  let view = createView(initialMode, element, element.value || "");
+  // Optional buttons next to the toggle that turn the split view / preview on and off
+  const modeButtons = [];
+  const addModeButton = (mode, label) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `toggle-${mode}-button`;
+    button.textContent = label;
+    if (element.id) button.setAttribute("aria-controls", element.id);
+    (modeButtons.at(-1)?.button ?? btn).insertAdjacentElement("afterend", button);
+    button.addEventListener("click", () => toggleMode(mode));
+    modeButtons.push({ mode, button });
+  };
+  if (options.splitToggle) addModeButton(MODES.SPLIT, "Split view");
+  if (options.previewToggle) addModeButton(MODES.PREVIEW, "Preview");
+
+  let view = null;
+  let destroyed = false;
+  let switching = false;
+  // The editing mode to return to from the split view or the preview
+  let editMode = initialMode === MODES.MARKDOWN ? MODES.MARKDOWN : MODES.PROSEMIRROR;
+
+  const tracker = createDirtyTracker(element.value || "", (dirty) => events.emit("dirtychange", { dirty }));
+  const unloadGuard = options.warnOnUnload ? createUnloadGuard(element, () => isDirty()) : null;
+
+  function isDirty() {
+    if (!destroyed) tracker.update(view.content);
+    return tracker.dirty;
+  }
+
+  function markClean() {
+    if (!destroyed) tracker.reset(view.content);
+  }
 
   // Keep button label in sync with current mode
   function updateButton() {
@@ -380,38 +927,44 @@ function wireEditorToggle(element, initialMode = MODES.PROSEMIRROR) {
     btn.setAttribute("data-editor-mode", view.mode);
     btn.setAttribute("aria-pressed", view.mode === MODES.MARKDOWN ? "true" : "false");
     btn.setAttribute("title", `Current mode: ${view.mode}. Click ${labelFor(view.mode)}`);
+    for (const { mode, button } of modeButtons) button.setAttribute("aria-pressed", String(view.mode === mode));
   }
 
   // Switch function used by the button (and available for you to call)
   function switchTo(nextMode) {
-    if (nextMode === view.mode) return;
+    if (destroyed || !isValidMode(nextMode) || nextMode === view.mode) return;
+    if (nextMode === MODES.MARKDOWN || nextMode === MODES.PROSEMIRROR) editMode = nextMode;
 
     const content = view.content;
-    
-    // Simple height preservation - measure current editor
-    let currentHeight = 0;
-    if (view.mode === MODES.PROSEMIRROR && view.view?.dom) {
-      currentHeight = view.view.dom.offsetHeight;
-    } else if (view.mode === MODES.MARKDOWN && view.textarea) {
-      currentHeight = view.textarea.offsetHeight;
-    }
+    // A height the user dragged to carries over to the next view
+    sizing?.capture();
 
+    tracker.update(content);
+    const selection = view.getMarkdownSelection(content);
+    modeHistory.checkpoint({ markdown: content, selection });
+    const prevMode = view.mode;
+    switching = true;
     view.destroy();
-    view = createView(nextMode, element, content);
-
-    // Apply preserved height to new editor
-    if (currentHeight > 0) {
-      if (nextMode === MODES.MARKDOWN && view.textarea) {
-        view.textarea.style.height = `${currentHeight}px`;
-      } else if (nextMode === MODES.PROSEMIRROR && view.view?.dom) {
-        view.view.dom.style.height = `${currentHeight}px`;
-      }
+    view = createView(nextMode, element, content, viewOptions);
+    switching = false;
+    // The new view may normalize clean content differently; that is not an edit
+    tracker.addEquivalent(view.content);
+    sizing?.attach();
+
+    // Keep the caret (and what's around it) where the user left it
+    if (selection) {
+      try { view.setMarkdownSelection(selection, content); } catch (e) { /* start at the top */ }
     }
+    modeHistory.rebase({ markdown: view.content, selection });
 
     updateButton();
+    // Don't bring users back to a page they can't type in
+    if (nextMode !== MODES.PREVIEW) preference?.set(nextMode);
+    events.emit("modechange", { from: prevMode, to: nextMode });
     
     // Focus with proper scroll behavior
     setTimeout(() => {
+      if (destroyed) return;
       view.focus();
       // Ensure focused element is visible (safely handle missing scrollIntoView in tests)
       try {
@@ -426,50 +979,409 @@ function wireEditorToggle(element, initialMode = MODES.PROSEMIRROR) {
     }, 0);
   }
 
-  // Initial label
-  updateButton();
+  // Apply the textarea's readonly/disabled state to the active view and the toggle
+  function applyAccess() {
+    if (destroyed) return;
+    view.refreshAccess();
+    if (options.hideToggleWhenReadOnly) {
+      btn.hidden = element.readOnly || element.disabled;
+      for (const { button } of modeButtons) button.hidden = btn.hidden;
+    }
+  }
 
-  // Toggle on click
-  btn.addEventListener("click", () => {
+  function setReadOnly(readOnly) {
+    element.toggleAttribute("readonly", !!readOnly);
+    applyAccess();
+  }
+
+  // Rebuild the active view around new content (used to restore drafts)
+  function reload(markdown, mode = view.mode) {
+    if (destroyed) return;
+    const prevMode = view.mode;
+    const nextMode = isValidMode(mode) ? mode : prevMode;
+    sizing?.capture();
+    switching = true;
+    view.destroy();
+    element.value = markdown;
+    view = createView(nextMode, element, markdown, viewOptions);
+    switching = false;
+    sizing?.attach();
+    updateButton();
+    if (nextMode !== prevMode) events.emit("modechange", { from: prevMode, to: nextMode });
+    events.emit("change", { markdown: view.content });
+    statusBar?.update();
+  }
+
+  // Back to the textarea's default value in the current mode. Rebuilding the
+  // view also drops the WYSIWYG undo history, so the reset can't be undone into
+  function reset() {
+    if (destroyed) return;
+    const markdown = element.defaultValue;
+    tracker.reset(markdown);
+    reload(markdown);
+    tracker.addEquivalent(view.content);
+    modeHistory.clear();
+    modeHistory.rebase({ markdown: view.content, selection: null });
+  }
+
+  // The browser resets the textarea after the event; a cancelled reset changes nothing.
+  // A textarea's own form owner, so one detached with form="" ignores the form around it
+  const form = isTextarea(element) ? element.form : nearestForm(element);
+  const onReset = (e) => setTimeout(() => { if (!e.defaultPrevented) reset(); }, 0);
+  form?.addEventListener("reset", onReset);
+
+  function snapshot() {
+    const markdown = view.content;
+    return { markdown, selection: view.getMarkdownSelection(markdown) };
+  }
+
+  // Undo/redo across mode switches once the active view's own history is exhausted
+  const modeHistory = createModeHistory({
+    restore({ markdown, selection }) {
+      reload(markdown);
+      if (selection) {
+        try { view.setMarkdownSelection(selection, markdown); } catch (e) { /* keep the default */ }
+      }
+      modeHistory.rebase({ markdown: view.content, selection });
+      view.focus();
+    }
+  });
+
+  const checkpoints = {
+    can(direction) {
+      if (destroyed || element.readOnly || element.disabled) return false;
+      return direction === "undo" ? modeHistory.canUndo : modeHistory.canRedo;
+    },
+    step(direction) {
+      if (!checkpoints.can(direction)) return false;
+      return direction === "undo" ? modeHistory.undo(snapshot()) : modeHistory.redo(snapshot());
+    }
+  };
+
+  // A restored draft is a checkpoint too, so undo can go back to the server value
+  function restoreDraft(markdown, mode) {
+    modeHistory.checkpoint({ markdown });
+    reload(markdown, mode);
+    modeHistory.rebase({ markdown: view.content, selection: null });
+  }
+
+  // The markdown as the form would submit it, flushing any debounced sync first
+  function getMarkdown() {
+    if (destroyed) return element.value;
+    view.flush();
+    return view.content;
+  }
+
+  // Replace the content in the current view (a single transaction in WYSIWYG mode)
+  function setMarkdown(markdown, { addToHistory = true } = {}) {
+    if (destroyed) return;
+    view.setMarkdown(String(markdown ?? ""), { addToHistory });
+  }
+
+  // Markdown <-> WYSIWYG; the split view goes to markdown, the preview back to editing
+  function toggle() {
+    if (view.mode === MODES.PREVIEW) return switchTo(editMode);
     const nextMode = view.mode === MODES.MARKDOWN ? MODES.PROSEMIRROR : MODES.MARKDOWN;
     switchTo(nextMode);
-  });
+  }
+
+  // Turn the split view or the preview on, or off again
+  function toggleMode(mode) {
+    switchTo(view.mode === mode ? editMode : mode);
+  }
+
+  // Undo everything wireEditorToggle did; the textarea keeps the current content
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    // Put the elements back in the page before the view takes its own out
+    fullscreen?.destroy();
+
+    const content = view.content;
+    view.destroy();
+    element.value = content;
+    unloadGuard?.destroy();
+    autosave?.destroy();
+    statusBar?.destroy();
+    sizing?.destroy();
+    accessObserver?.disconnect();
+    form?.removeEventListener("reset", onReset);
+
+    btn.removeEventListener("click", toggle);
+    for (const { button } of modeButtons) button.remove();
+    if (btnWrapper) {
+      btnWrapper.remove();
+    } else {
+      btn.textContent = btnSnapshot.text;
+      for (const [name, value] of btnSnapshot.attrs) {
+        if (value == null) btn.removeAttribute(name);
+        else btn.setAttribute(name, value);
+      }
+    }
+
+    for (const [name, value] of [["id", original.id], ["style", original.style]]) {
+      if (value == null) element.removeAttribute(name);
+      else element.setAttribute(name, value);
+    }
+
+    if (element._editorAPI === api) delete element._editorAPI;
+    events.emit("destroy");
+    events.clear();
+  }
 
   // Optional: expose a tiny API for programmatic control
-  element._editorAPI = {
+  const api = {
+    element,
+    options,
     get mode() { return view.mode; },
     get view() { return view; },
-    toggle() { 
-      const nextMode = view.mode === MODES.MARKDOWN ? MODES.PROSEMIRROR : MODES.MARKDOWN;
-      switchTo(nextMode);
-    },
+    get content() { return view.content; },
+    get destroyed() { return destroyed; },
+    getMarkdown,
+    setMarkdown,
+    toggle,
+    toggleSplit: () => toggleMode(MODES.SPLIT),
+    togglePreview: () => toggleMode(MODES.PREVIEW),
+    get fullscreen() { return !!fullscreen?.active; },
+    toggleFullscreen: () => fullscreen?.toggle(),
     switchTo,
-    refreshButton: updateButton
+    destroy,
+    isDirty,
+    markClean,
+    reset,
+    get readOnly() { return element.readOnly || element.disabled; },
+    setReadOnly,
+    clearDraft() { return autosave?.clear(); },
+    refreshButton: updateButton,
+    on: events.on,
+    off: events.off
   };
+
+  // Before the first view: its toolbar asks whether the editor is fullscreen
+  const fullscreen = options.fullscreen
+    ? createFullscreen(api, options.fullscreen === true ? {} : options.fullscreen, {
+      onChange(active) {
+        // Re-run the toolbars so the fullscreen button shows the new state
+        if (!destroyed) view.refreshAccess();
+        events.emit("fullscreenchange", { fullscreen: active });
+      }
+    })
+    : null;
+
+  // Views register the owning editor in the ACTIVE registry alongside themselves
+  const viewOptions = { ...options, emit: events.emit, editor: api, checkpoints };
+
+  // Use the provided initial mode
+  // Create initial view
+  view = createView(initialMode, element, element.value || "", viewOptions);
+  tracker.addEquivalent(view.content);
+  modeHistory.rebase({ markdown: view.content, selection: null });
+
+  // Markdown edits are cheap to compare; WYSIWYG edits are compared once the
+  // debounced sync has serialized them anyway
+  const trackContent = (markdown) => { if (!switching) tracker.update(markdown); };
+  events.on("change", (detail) => {
+    unloadGuard?.rearm();
+    modeHistory.edited();
+    if (view.mode === MODES.MARKDOWN || options.syncOnChange === false) trackContent(detail.markdown);
+  });
+  events.on("aftersync", (detail) => trackContent(detail.markdown));
+
+  // Initial label
+  updateButton();
+
+  const autosave = options.autosave
+    ? createAutosave(api, options.autosave === true ? {} : options.autosave, {
+      fieldKey,
+      anchor: btnWrapper ?? btn,
+      reload: restoreDraft
+    })
+    : null;
+
+  const statusBar = options.statusBar
+    ? createStatusBar(api, options.statusBar === true ? {} : options.statusBar)
+    : null;
+
+  const sizing = createSizing(api, {
+    autoGrow: options.autoGrow,
+    minRows: options.minRows,
+    maxRows: options.maxRows,
+    resizeHandle: options.resizeHandle
+  });
+
+  // Follow readonly/disabled (and other field attribute) changes made by the host page
+  const Observer = element.ownerDocument?.defaultView?.MutationObserver;
+  const accessObserver = Observer ? new Observer(applyAccess) : null;
+  accessObserver?.observe(element, {
+    attributes: true,
+    attributeFilter: ["readonly", "disabled", "required", "aria-label", "aria-labelledby", "aria-describedby", "aria-invalid"]
+  });
+  applyAccess();
+
+  // Toggle on click
+  btn.addEventListener("click", toggle);
+
+  element._editorAPI = api;
+  return api;
 }
 
-// Configurable initialization function
-export function initProseMirrorEditor(selector = "textarea[data-editor-mode]") {
-  document
-    .querySelectorAll(selector)
-    .forEach((element) => {
+/**
+ * Create a dual-mode editor on a single textarea and return its instance API.
+ *
+ * Options (all optional):
+ *   mode          - initial mode ("markdown" | "prosemirror" | "split" | "preview"); defaults to the data attributes
+ *   preferences   - store remembering the user's mode per field ({ get, set }), false to disable;
+ *                   defaults to localStorage keyed by data-editor-key, name or id
+ *   extensions    - markdown extensions passed to createMarkdownSystem (replaces the defaults)
+ *   textProcessing- serializer post-processing plugin (replaces the default chain)
+ *   plugins       - extra ProseMirror plugins for the WYSIWYG view
+ *   toolbar       - toolbar options ({ items, codeJoinMode }) or false to hide the toolbar in both modes;
+ *                   items lists the controls in order, e.g. ["heading", "bold", "|", "ul", "ol"]
+ *   headingLevels - heading levels offered by the toolbar and shortcuts, e.g. [2, 3, 4] (default 1-6)
+ *   placeholder   - WYSIWYG hint for an empty document (defaults to the textarea's placeholder)
+ *   blockPlaceholders - hints for other empty blocks by node type, e.g. { heading: "Heading" }
+ *   syncOnChange  - keep the textarea updated while typing (default true)
+ *   syncDelay     - debounce in ms before WYSIWYG edits reach the textarea (default 300)
+ *   syncOnSubmit  - sync the textarea when the parent form submits (default true)
+ *   warnOnUnload  - prompt before leaving the page with unsaved changes (default false)
+ *   hideToggleWhenReadOnly - hide the mode toggle while the textarea is readonly or disabled
+ *   autosave      - true or { store, key, delay, updatedAt, onDraftFound } to keep local drafts
+ *   statusBar     - true or { wordsPerMinute, warnAt } to show counts (and maxlength) below the editor
+ *   splitToggle   - add a "Split view" button next to the toggle (default false)
+ *   previewToggle - add a "Preview" button next to the toggle (default false)
+ *   autoGrow      - fit the height to the content, between minRows and maxRows (default false)
+ *   minRows       - smallest height in lines (default: the textarea's rows)
+ *   maxRows       - largest height in lines before scrolling (default: no limit)
+ *   resizeHandle  - add a drag handle below the editor; the chosen height survives mode switches
+ *   fullscreen    - true or { dimInactive, shortcut } to add a fullscreen toolbar button and
+ *                   shortcut (default Shift-Mod-f); Escape exits
+ *   markdownShortcuts - formatting shortcuts and list continuation in markdown mode (default true);
+ *                   false to disable, or { autoPair: false } to keep them without bracket pairing
+ *
+ * The textarea's data attributes (data-toolbar, data-extensions, data-height,
+ * data-readonly-toggle, data-code-join-mode, data-allowed-headings,
+ * data-sync-delay; see utils/dataOptions.js) override these per field.
+ */
+export function createEditor(element, options = {}) {
+  if (!isTextarea(element)) {
+    console.warn("[ProseMirror] createEditor requires a textarea element.");
+    return null;
+  }
+  // Already wired: re-use the existing instance instead of stacking a second editor
+  const existing = getEditor(element);
+  if (existing) return existing;
+  if (ACTIVE.has(element)) {
+    console.warn("[ProseMirror] Skipping textarea that already hosts an editor view.");
+    return null;
+  }
+
+  const { mode, ...viewOptions } = withDataOptions(element, options);
+  // Forced fields keep no preference: the user's choice would never be applied
+  const preference = element.hasAttribute('data-editor-force-mode')
+    ? null
+    : bindModePreference(element, options.preferences);
+  const initialMode = resolveInitialMode(element, mode, preference);
+  return wireEditorToggle(element, initialMode, viewOptions, preference);
+}
+
+// Options declared on the field refine the ones passed in; toolbar settings
+// merge. Only data-toolbar brings back a toolbar the caller turned off.
+function withDataOptions(element, options) {
+  const data = readDataOptions(element);
+  const merged = { ...options, ...data };
+  if (options.toolbar === false && data.toolbar && !data.toolbar.items) merged.toolbar = false;
+  else if (data.toolbar && options.toolbar) merged.toolbar = { ...options.toolbar, ...data.toolbar };
+  return merged;
+}
+
+// Look up the editor instance wired to a textarea (null if none)
+export function getEditor(element) {
+  return ACTIVE.get(element)?.editor ?? null;
+}
+
+// Tear down the editor wired to a textarea; returns false if there was none
+export function destroyEditor(element) {
+  const editor = getEditor(element) ?? element?._editorAPI;
+  if (!editor) return false;
+  editor.destroy();
+  return true;
+}
+
+const DEFAULT_SELECTOR = "textarea[data-editor-mode]";
+
+// Wire every textarea in a list, warning about anything else the selector matched
+function initElements(elements, options) {
+  return Array.from(elements)
+    .map((element) => {
       // Ensure element is a textarea
       if (!isTextarea(element)) {
         console.warn(`[ProseMirror] Skipping non-textarea element: ${element.tagName.toLowerCase()}. initProseMirrorEditor requires textarea elements.`);
-        return;
+        return null;
       }
       
-      // Detect mode from data attributes
-      const initialMode = detectModeFromElement(element);
-      wireEditorToggle(element, initialMode);
-    });
+      return createEditor(element, options);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Watch `root` for textareas matching `selector`: new ones are wired as they
+ * appear and their editors are destroyed once they leave the document.
+ * Returns a handle whose disconnect() stops observing.
+ */
+export function observeEditors(selector = DEFAULT_SELECTOR, options = {}) {
+  const { root = document.body, ...editorOptions } = options;
+  const Observer = root?.ownerDocument?.defaultView?.MutationObserver ?? globalThis.MutationObserver;
+  if (!root || typeof Observer !== "function") {
+    console.warn("[ProseMirror] MutationObserver is unavailable; editors will not be observed.");
+    return { disconnect() {} };
+  }
+
+  const matching = (node) => [
+    ...(node.matches(selector) ? [node] : []),
+    ...node.querySelectorAll(selector)
+  ];
+  const textareas = (node) => (isTextarea(node) ? [node] : Array.from(node.querySelectorAll("textarea")));
+
+  const observer = new Observer((records) => {
+    for (const { removedNodes } of records) {
+      for (const node of removedNodes) {
+        if (node.nodeType !== 1) continue;
+        // Moved nodes are removed and re-added in one batch; only destroy what really left
+        for (const el of textareas(node)) if (!el.isConnected) destroyEditor(el);
+      }
+    }
+    for (const { addedNodes } of records) {
+      for (const node of addedNodes) {
+        if (node.nodeType !== 1 || !node.isConnected) continue;
+        initElements(matching(node).filter((el) => !getEditor(el)), editorOptions);
+      }
+    }
+  });
+  observer.observe(root, { childList: true, subtree: true });
+
+  return { disconnect() { observer.disconnect(); } };
+}
+
+// Configurable initialization function. With `observe: true` the returned
+// array carries the observeEditors handle as `observer`.
+export function initProseMirrorEditor(selector = DEFAULT_SELECTOR, options = {}) {
+  const { observe = false, root, ...editorOptions } = options;
+  const editors = initElements((root ?? document).querySelectorAll(selector), editorOptions);
+  if (observe) editors.observer = observeEditors(selector, { ...editorOptions, root: root ?? document.body });
+  return editors;
 }
 
 // Export additional utilities for advanced usage
+export { createLocalStorageDraftStore, createIndexedDBDraftStore } from "./utils/autosave.js";
 export { createMarkdownSystem } from "./markdownSystem.js";
 export { buildMarkdownPlugins } from "./markdownToolbarPlugin.js";
+export { createPlaceholderPlugin } from "./placeholderPlugin.js";
+export { defineMarkdownEditor } from "./markdownEditorElement.js";
+export { EXTENSIONS, resolveExtensions } from "./extensions/registry.js";
+export { normalizeMarkdown, createMarkdownNormalizer } from "./headless.js";
 
-// Export height utilities for testing
+// Export for testing
 export { getOuterHeight, preserveHeight, safeSerialize };
 
 
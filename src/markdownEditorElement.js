@@ -0,0 +1,216 @@
+// markdownEditorElement.js - <markdown-editor>: the dual-mode editor as a
+// form-associated custom element
+//
+//   <markdown-editor name="body" mode="markdown" required># Hello</markdown-editor>
+//
+// The element renders its own textarea and wires createEditor() to it, so
+// everything the textarea-upgrade path does works here too. The form sees the
+// element itself through ElementInternals: its value, validity, reset and
+// disabled state. The inner textarea is detached from the form (form="") so it
+// neither submits nor validates twice.
+
+import { createEditor } from "./index.js";
+import { resolveExtensions } from "./extensions/registry.js";
+import { debugWarn } from "./debug/utils.js";
+
+// Attributes copied onto the inner textarea, where the editor reads them
+const FIELD_ATTRIBUTES = ["placeholder", "required", "readonly", "maxlength", "minlength", "rows", "aria-label", "aria-describedby"];
+const MODES = ["markdown", "prosemirror", "split", "preview"];
+
+/**
+ * Define the element (once per window) and return its class. Call it before
+ * the markup is parsed, or any time after: existing elements upgrade.
+ *
+ * Attributes: name, mode, toolbar ("false" hides it), extensions (names, see
+ * extensions/registry.js), shadow (render inside Shadow DOM), stylesheet (URL
+ * of the editor CSS for the shadow root), and the field attributes above.
+ * Other createEditor options go in the `options` property before connecting.
+ */
+export function defineMarkdownEditor(tagName = "markdown-editor", win = globalThis.window) {
+  const registry = win.customElements;
+  const existing = registry.get(tagName);
+  if (existing) return existing;
+
+  class MarkdownEditorElement extends win.HTMLElement {
+    static formAssociated = true;
+    static get observedAttributes() { return ["mode", ...FIELD_ATTRIBUTES]; }
+
+    // The form sees the element only through these
+    #internals;
+
+    constructor() {
+      super();
+      this.#internals = this.attachInternals();
+      this.options = {};
+      this._editor = null;
+      this._textarea = null;
+      this._defaultValue = null;
+      this._value = null;
+      this._committed = null;
+    }
+
+    connectedCallback() {
+      if (this._editor) return;
+      // Like a textarea, the initial content is the element's text
+      if (this._defaultValue == null) {
+        this._defaultValue = this.getAttribute("value") ?? this.textContent.replace(/^\r?\n/, "");
+        this.replaceChildren();
+      }
+      this._render();
+    }
+
+    disconnectedCallback() {
+      if (!this._editor) return;
+      this._value = this._editor.getMarkdown();
+      this._editor.destroy();
+      this._editor = null;
+      this._root.replaceChildren();
+      this._form?.removeEventListener("submit", this._onSubmit, true);
+    }
+
+    attributeChangedCallback(name, _old, value) {
+      if (!this._textarea) return;
+      if (name === "mode") {
+        if (MODES.includes(value)) this._editor?.switchTo(value);
+        return;
+      }
+      if (value == null) this._textarea.removeAttribute(name);
+      else this._textarea.setAttribute(name, value);
+      this._commit(this._textarea.value);
+    }
+
+    _render() {
+      const doc = this.ownerDocument;
+      const shadow = this.hasAttribute("shadow");
+      this._root = shadow ? (this.shadowRoot ?? this.attachShadow({ mode: "open", delegatesFocus: true })) : this;
+
+      const stylesheet = this.getAttribute("stylesheet");
+      if (shadow && stylesheet) {
+        const link = doc.createElement("link");
+        link.rel = "stylesheet";
+        link.href = stylesheet;
+        this._root.appendChild(link);
+      }
+
+      const wrapper = doc.createElement("div");
+      wrapper.className = "pm-markdown-editor";
+      // The editor's own change events (textarea, heading select) are internal;
+      // the element fires its own when an edit is committed
+      wrapper.addEventListener("change", (e) => e.stopPropagation());
+
+      const textarea = doc.createElement("textarea");
+      textarea.setAttribute("form", "");
+      textarea.defaultValue = this._defaultValue;
+      textarea.value = this._value ?? this._defaultValue;
+      for (const name of FIELD_ATTRIBUTES) {
+        if (this.hasAttribute(name)) textarea.setAttribute(name, this.getAttribute(name));
+      }
+      const labels = Array.from(this.#internals.labels ?? []).map((label) => label.textContent.trim()).filter(Boolean);
+      if (!textarea.hasAttribute("aria-label") && labels.length) textarea.setAttribute("aria-label", labels.join(" "));
+      textarea.disabled = this.matches(":disabled");
+      wrapper.appendChild(textarea);
+      this._root.appendChild(wrapper);
+      this._textarea = textarea;
+
+      this._editor = createEditor(textarea, { preferences: false, ...this._attributeOptions(), ...this.options });
+      const commit = () => this._commit(textarea.value);
+      this._editor.on("change", commit);
+      this._editor.on("aftersync", commit);
+      this._editor.on("focus", () => { this._focusValue = this.value; });
+      this._editor.on("blur", () => {
+        if (this._focusValue != null && this.value !== this._focusValue) {
+          this.dispatchEvent(new win.Event("change", { bubbles: true }));
+        }
+      });
+
+      // WYSIWYG edits reach the textarea on a debounce; make sure they are in
+      this._onSubmit = () => this._commit(this._editor.getMarkdown());
+      this._form = this.#internals.form;
+      this._form?.addEventListener("submit", this._onSubmit, true);
+      this._commit(textarea.value);
+    }
+
+    _attributeOptions() {
+      const options = {};
+      const mode = this.getAttribute("mode");
+      if (MODES.includes(mode)) options.mode = mode;
+      if (this.getAttribute("toolbar") === "false") options.toolbar = false;
+      if (this.hasAttribute("extensions")) {
+        const value = this.getAttribute("extensions");
+        const { extensions, unknown } = resolveExtensions(value);
+        if (unknown.length) debugWarn(`Unknown extensions on <${tagName}>: ${unknown.join(", ")}`, this);
+        if (extensions.length) options.extensions = extensions;
+        else debugWarn(`No known extensions in extensions="${value}" on <${tagName}>, keeping the defaults`, this);
+      }
+      return options;
+    }
+
+    // Tell the form the current value and whether it passes the field's constraints
+    _commit(value) {
+      const textarea = this._textarea;
+      if (!textarea) return;
+      if (value !== this._committed) {
+        this._committed = value;
+        this.#internals.setFormValue(value);
+      }
+      if (textarea.validity.valid) {
+        this.#internals.setValidity({});
+      } else {
+        const anchor = this._editor?.view.view?.dom ?? textarea;
+        this.#internals.setValidity(textarea.validity, textarea.validationMessage, anchor);
+      }
+    }
+
+    get editor() { return this._editor; }
+    get mode() { return this._editor?.mode ?? this.getAttribute("mode"); }
+    set mode(mode) { this.setAttribute("mode", mode); }
+
+    get value() { return this._editor ? this._editor.getMarkdown() : (this._value ?? this._defaultValue ?? ""); }
+    set value(value) {
+      const markdown = String(value ?? "");
+      if (!this._editor) {
+        this._value = markdown;
+        return;
+      }
+      this._editor.setMarkdown(markdown, { addToHistory: false });
+      this._commit(this._editor.getMarkdown());
+    }
+
+    get defaultValue() { return this._defaultValue ?? ""; }
+    set defaultValue(value) {
+      this._defaultValue = String(value ?? "");
+      if (this._textarea) this._textarea.defaultValue = this._defaultValue;
+    }
+
+    get name() { return this.getAttribute("name"); }
+    get form() { return this.#internals.form; }
+    get type() { return tagName; }
+    get validity() { return this.#internals.validity; }
+    get validationMessage() { return this.#internals.validationMessage; }
+    get willValidate() { return this.#internals.willValidate; }
+    checkValidity() { return this.#internals.checkValidity(); }
+    reportValidity() { return this.#internals.reportValidity(); }
+    focus(options) { this._editor ? this._editor.view.focus() : super.focus(options); }
+
+    formResetCallback() {
+      if (!this._editor) {
+        this._value = null;
+        return;
+      }
+      this._editor.reset();
+      this._commit(this._textarea.value);
+    }
+
+    // The form (or a fieldset) was disabled or enabled; the editor follows the textarea
+    formDisabledCallback(disabled) {
+      if (this._textarea) this._textarea.disabled = disabled;
+    }
+
+    formStateRestoreCallback(state) {
+      if (typeof state === "string") this.value = state;
+    }
+  }
+
+  registry.define(tagName, MarkdownEditorElement);
+  return MarkdownEditorElement;
+}
@@ -7,11 +7,14 @@ import { gapCursor } from "prosemirror-gapcursor";
 import { sinkListItem, liftListItem, splitListItem } from "prosemirror-schema-list";
 
 import { isMarkActive, isBlockActive, selectionAllInAncestorType } from "./utils/selection.js";
-import { makeBtn, makeSelect } from "./ui/builders.js";
+import { makeBtn, makeSelect, arrangeItems } from "./ui/builders.js";
+import { TOOLBAR_ITEMS, headingOptions, headingValue } from "./ui/toolbarItems.js";
 import { applyListUnified, applyBlockquoteUnified, applyCodeBlockUnified, applyCodeBlockUnifiedSingle, outdentCommand } from "./commands/unified.js";
 import { hasLink, createLinkCommand, removeLink } from "./commands/links.js";
 
-export function createMarkdownKeymap(schema) {
+// options.headingLevels limits the Shift-Ctrl-<n> heading shortcuts (default: 1-6)
+export function createMarkdownKeymap(schema, options = {}) {
+  const { headingLevels = [1, 2, 3, 4, 5, 6] } = options;
   const bind = {};
   if (schema.marks.strong) bind["Mod-b"] = toggleMark(schema.marks.strong);
   if (schema.marks.em) bind["Mod-i"] = toggleMark(schema.marks.em);
@@ -20,12 +23,7 @@ export function createMarkdownKeymap(schema) {
 
   if (schema.nodes.paragraph) bind["Shift-Ctrl-0"] = setBlockType(schema.nodes.paragraph);
   if (schema.nodes.heading) {
-    bind["Shift-Ctrl-1"] = setBlockType(schema.nodes.heading, { level: 1 });
-    bind["Shift-Ctrl-2"] = setBlockType(schema.nodes.heading, { level: 2 });
-    bind["Shift-Ctrl-3"] = setBlockType(schema.nodes.heading, { level: 3 });
-    bind["Shift-Ctrl-4"] = setBlockType(schema.nodes.heading, { level: 4 });
-    bind["Shift-Ctrl-5"] = setBlockType(schema.nodes.heading, { level: 5 });
-    bind["Shift-Ctrl-6"] = setBlockType(schema.nodes.heading, { level: 6 });
+    for (const level of headingLevels) bind[`Shift-Ctrl-${level}`] = setBlockType(schema.nodes.heading, { level });
   }
 
   if (schema.nodes.blockquote) bind["Shift-Ctrl-b"] = applyBlockquoteUnified(schema.nodes.blockquote);
@@ -61,8 +59,10 @@ export function createMarkdownKeymap(schema) {
   return keymap(bind);
 }
 
+// options.fullscreen: { toggle(), isActive() } adds a fullscreen button (see ui/fullscreen.js)
+// options.items: a layout from resolveToolbarLayout; options.headingLevels: levels in the select
 export function markdownToolbarPlugin(options = {}) {
-  const { codeJoinMode = "smart" } = options;
+  const { codeJoinMode = "smart", fullscreen, items: layout, headingLevels } = options;
 
   return new Plugin({
     view(editorView) {
@@ -71,23 +71,18 @@ export function markdownToolbarPlugin(options = {}) {
       toolbar.setAttribute("role", "toolbar");
       toolbar.setAttribute("aria-label", "Editor formatting tools");
 
-      const items = [];
+      const items = {};
       const { schema } = editorView.state;
       const run = (cmd) => (view) => cmd(view.state, view.dispatch, view);
       const can = (cmd) => (state) => cmd(state);
 
       if (schema.nodes.paragraph && schema.nodes.heading) {
         const p = schema.nodes.paragraph, h = schema.nodes.heading;
-        items.push(makeSelect({
-          options: [["p", "Paragraph"], ["h1", "H1"], ["h2", "H2"], ["h3", "H3"], ["h4", "H4"], ["h5", "H5"], ["h6", "H6"]],
+        items.heading = makeSelect({
+          options: headingOptions(headingLevels),
           compute: (s) => {
-            if (isBlockActive(s, h, { level: 1 })) return "h1";
-            if (isBlockActive(s, h, { level: 2 })) return "h2";
-            if (isBlockActive(s, h, { level: 3 })) return "h3";
-            if (isBlockActive(s, h, { level: 4 })) return "h4";
-            if (isBlockActive(s, h, { level: 5 })) return "h5";
-            if (isBlockActive(s, h, { level: 6 })) return "h6";
-            return "p";
+            const level = [1, 2, 3, 4, 5, 6].find((l) => isBlockActive(s, h, { level: l }));
+            return headingValue(level, headingLevels);
           },
           apply: (view, v) => {
             if (v === "p") {
@@ -111,45 +106,38 @@ export function markdownToolbarPlugin(options = {}) {
             });
             return !hit;
           }
-        }));
+        });
       }
 
-      if (schema.marks.strong) items.push(makeBtn({
-        label: "Bold", title: "Bold (Mod-B)",
-        icon: "bold",
+      if (schema.marks.strong) items.bold = makeBtn({
+        ...TOOLBAR_ITEMS.bold,
         run: run(toggleMark(schema.marks.strong)),
         isActive: (s) => isMarkActive(s, schema.marks.strong),
         isEnabled: can(toggleMark(schema.marks.strong))
-      }));
-      if (schema.marks.em) items.push(makeBtn({
-        label: "Italic", title: "Italic (Mod-I)",
-        icon: "italic",
+      });
+      if (schema.marks.em) items.italic = makeBtn({
+        ...TOOLBAR_ITEMS.italic,
         run: run(toggleMark(schema.marks.em)),
         isActive: (s) => isMarkActive(s, schema.marks.em),
         isEnabled: can(toggleMark(schema.marks.em))
-      }));
-      if (schema.marks.code) items.push(makeBtn({
-        icon: "inline_code",
-        label: "Inline code",
-        title: "Inline code (Mod-`)",
+      });
+      if (schema.marks.code) items.code = makeBtn({
+        ...TOOLBAR_ITEMS.code,
         run: run(toggleMark(schema.marks.code)),
         isActive: (s) => isMarkActive(s, schema.marks.code),
         isEnabled: can(toggleMark(schema.marks.code))
-      }));
-      if (schema.marks.link) items.push(makeBtn({
-        label: "Link", title: "Link (Mod-K)",
-        icon: "link",
+      });
+      if (schema.marks.link) items.link = makeBtn({
+        ...TOOLBAR_ITEMS.link,
         run: (view) => createLinkCommand()(view.state, view.dispatch, view),
         isActive: (s) => hasLink(s),
         isEnabled: () => true
-      }));
+      });
 
       if (schema.nodes.list_item) {
         const { bullet_list, ordered_list, list_item } = schema.nodes;
-        if (ordered_list) items.push(makeBtn({
-          icon: "ol",
-          label: "ol",
-          title: "Numbered list (Shift-Ctrl-7)",
+        if (ordered_list) items.orderedList = makeBtn({
+          ...TOOLBAR_ITEMS.orderedList,
           run: run(applyListUnified(ordered_list, list_item)),
           isActive: (s) => {
             // Don't activate if HR is in selection
@@ -161,11 +149,9 @@ export function markdownToolbarPlugin(options = {}) {
             return !hasHR && selectionAllInAncestorType(s, ordered_list);
           },
           isEnabled: () => true
-        }));
-        if (bullet_list) items.push(makeBtn({
-          icon: "ul",
-          label: "ul",
-          title: "Bulleted list (Shift-Ctrl-8)",
+        });
+        if (bullet_list) items.bulletList = makeBtn({
+          ...TOOLBAR_ITEMS.bulletList,
           run: run(applyListUnified(bullet_list, list_item)),
           isActive: (s) => {
             // Don't activate if HR is in selection
@@ -177,28 +163,23 @@ export function markdownToolbarPlugin(options = {}) {
             return !hasHR && selectionAllInAncestorType(s, bullet_list);
           },
           isEnabled: () => true
-        }));
-        items.push(
-          makeBtn({ label: "→", title: "Indent (Tab)", run: run(sinkListItem(list_item)), isEnabled: (s) => sinkListItem(list_item)(s) }),
-          makeBtn({
-            label: "←",
-            title: "Outdent (Shift-Tab)",
-            run: run(outdentCommand(list_item)),
-            isEnabled: (s) => {
-              let has = false;
-              s.doc.nodesBetween(s.selection.from, s.selection.to, (n) => { if (n.type === s.schema.nodes.list_item) { has = true; return false; } });
-              return has;
-            }
-          })
-        );
+        });
+        items.indent = makeBtn({ ...TOOLBAR_ITEMS.indent, run: run(sinkListItem(list_item)), isEnabled: (s) => sinkListItem(list_item)(s) });
+        items.outdent = makeBtn({
+          ...TOOLBAR_ITEMS.outdent,
+          run: run(outdentCommand(list_item)),
+          isEnabled: (s) => {
+            let has = false;
+            s.doc.nodesBetween(s.selection.from, s.selection.to, (n) => { if (n.type === s.schema.nodes.list_item) { has = true; return false; } });
+            return has;
+          }
+        });
       }
 
       if (schema.nodes.blockquote) {
         const cmd = applyBlockquoteUnified(schema.nodes.blockquote);
-        items.push(makeBtn({
-          icon: "blockquote",
-          label: "❝ ❞",
-          title: "Blockquote (Shift-Ctrl-B)",
+        items.blockquote = makeBtn({
+          ...TOOLBAR_ITEMS.blockquote,
           run: run(cmd),
           isActive: (s) => {
             // Don't activate if HR is in selection
@@ -210,7 +191,7 @@ export function markdownToolbarPlugin(options = {}) {
             return !hasHR && selectionAllInAncestorType(s, schema.nodes.blockquote);
           },
           isEnabled: () => true
-        }));
+        });
       }
 
       if (schema.nodes.code_block && schema.nodes.paragraph) {
@@ -222,27 +203,20 @@ export function markdownToolbarPlugin(options = {}) {
         );
         const cmdSingle = applyCodeBlockUnifiedSingle(schema.nodes.code_block);
 
-        items.push(
-          makeBtn({
-            icon: "code",
-            label: "</>",
-            title: "Code block (Shift-Ctrl-\\)",
-            run: run(cmdMulti),
-            isActive: (s) => isBlockActive(s, schema.nodes.code_block),
-          }),
-          makeBtn({
-            icon: "flatten_code",
-            label: "<*>",
-            title: "Flatten to one code block",
-            run: run(cmdSingle),
-          })
-        );
+        items.codeBlock = makeBtn({
+          ...TOOLBAR_ITEMS.codeBlock,
+          run: run(cmdMulti),
+          isActive: (s) => isBlockActive(s, schema.nodes.code_block),
+        });
+        items.flattenCode = makeBtn({
+          ...TOOLBAR_ITEMS.flattenCode,
+          run: run(cmdSingle),
+        });
       }
 
       if (schema.nodes.horizontal_rule) {
-        items.push(makeBtn({
-          label: "—",
-          title: "Horizontal rule",
+        items.horizontalRule = makeBtn({
+          ...TOOLBAR_ITEMS.horizontalRule,
           run: (view) => {
             const { state, dispatch } = view;
             const { selection } = state;
@@ -262,14 +236,29 @@ export function markdownToolbarPlugin(options = {}) {
                    $from.parentOffset === 0;
           },
           isActive: () => false // HR doesn't have an "active" state
-        }));
+        });
+      }
+
+      if (fullscreen) {
+        items.fullscreen = makeBtn({ ...TOOLBAR_ITEMS.fullscreen, run: () => fullscreen.toggle(), isActive: () => fullscreen.isActive() });
       }
 
+      const shown = arrangeItems(items, layout);
       const parent = editorView.dom.parentNode;
       if (parent) parent.insertBefore(toolbar, editorView.dom);
-      for (const it of items) { it.bindView?.(editorView); toolbar.appendChild(it.dom); }
+      for (const it of shown) { it.bindView?.(editorView); toolbar.appendChild(it.dom); }
 
-      const updateUI = () => { const st = editorView.state; for (const it of items) it.update?.(st); };
+      const updateUI = () => {
+        const st = editorView.state;
+        for (const it of shown) it.update?.(st);
+        // A read-only editor keeps its toolbar visible but inert; fullscreen only changes the view
+        toolbar.classList.toggle("pm-toolbar-readonly", !editorView.editable);
+        if (!editorView.editable) {
+          toolbar.querySelectorAll("button, select").forEach((control) => {
+            if (control !== items.fullscreen?.dom) control.disabled = true;
+          });
+        }
+      };
       updateUI();
 
       return { update() { updateUI(); }, destroy() { toolbar.remove(); } };
@@ -278,10 +267,11 @@ export function markdownToolbarPlugin(options = {}) {
 }
 
 export function buildMarkdownPlugins(schema, options = {}) {
+  const { toolbar = true } = options;
   return [
-    markdownToolbarPlugin(options),
+    ...(toolbar ? [markdownToolbarPlugin(options)] : []),
     history(),
-    createMarkdownKeymap(schema),
+    createMarkdownKeymap(schema, options),
     keymap(baseKeymap),
     dropCursor(),
     gapCursor()
@@ -0,0 +1,47 @@
+// maxLengthPlugin.js - Enforce a textarea's maxlength against the serialized markdown
+import { Plugin, PluginKey } from "prosemirror-state";
+
+export const maxLengthPluginKey = new PluginKey("max-length");
+
+/**
+ * Rejects transactions that would make the serialized markdown longer than the
+ * limit. The limit applies to what the form submits, not to the visible text,
+ * so formatting counts too. Transactions that don't grow the document are
+ * always allowed, so content that is already over the limit can be trimmed.
+ * Content the browser has already limited (typed into the textarea) is let
+ * through with `tr.setMeta(maxLengthPluginKey, { skip: true })`.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Function} options.serialize - (doc) => markdown string
+ * @param {Function} options.getMaxLength - () => limit, or a negative number for none;
+ *   read on every transaction so attribute changes apply immediately
+ *
+ * @returns {Plugin} ProseMirror plugin instance
+ */
+export function createMaxLengthPlugin(options = {}) {
+  const { serialize, getMaxLength } = options;
+
+  if (typeof serialize !== "function" || typeof getMaxLength !== "function") {
+    throw new Error("Both 'serialize' and 'getMaxLength' options are required");
+  }
+
+  // Docs are immutable, so a length computed once stays valid
+  const lengths = new WeakMap();
+  const lengthOf = (doc) => {
+    if (!lengths.has(doc)) lengths.set(doc, serialize(doc).length);
+    return lengths.get(doc);
+  };
+
+  return new Plugin({
+    key: maxLengthPluginKey,
+    filterTransaction(tr, state) {
+      if (!tr.docChanged || tr.getMeta(maxLengthPluginKey)?.skip) return true;
+      const max = getMaxLength();
+      if (!(max >= 0)) return true;
+      const length = lengthOf(tr.doc);
+      return length <= max || length <= lengthOf(state.doc);
+    }
+  });
+}
+
+export default createMaxLengthPlugin;
@@ -0,0 +1,72 @@
+// placeholderPlugin.js - Hint text for an empty WYSIWYG document
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Decoration, DecorationSet } from "prosemirror-view";
+
+export const placeholderPluginKey = new PluginKey("placeholder");
+
+const CLASS_NAME = "pm-placeholder";
+
+function isEmptyDocument(doc) {
+  const first = doc.firstChild;
+  return doc.childCount === 1 && first.type.name === "paragraph" && first.content.size === 0;
+}
+
+/**
+ * Shows placeholder text while the document is empty, and optional hints in
+ * other empty blocks. The text is rendered by CSS from a data attribute, so it
+ * never becomes part of the document or the serialized markdown.
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} [options.text] - Text shown while the document is a single empty paragraph
+ * @param {Object} [options.blocks] - Per node type hints, e.g. { heading: "Heading" };
+ *   values may be functions of the node, e.g. (node) => `Heading ${node.attrs.level}`
+ *
+ * @returns {Plugin} ProseMirror plugin instance
+ */
+export function createPlaceholderPlugin(options = {}) {
+  const { text = "", blocks = {} } = options;
+  const hasBlocks = Object.keys(blocks).length > 0;
+
+  const blockText = (node) => {
+    const hint = blocks[node.type.name];
+    return typeof hint === "function" ? hint(node) : hint;
+  };
+
+  const placeholderAt = (pos, node, hint) =>
+    Decoration.node(pos, pos + node.nodeSize, { class: CLASS_NAME, "data-placeholder": hint });
+
+  function computeDecorations(doc) {
+    if (text && isEmptyDocument(doc)) {
+      return DecorationSet.create(doc, [placeholderAt(0, doc.firstChild, text)]);
+    }
+    if (!hasBlocks) return DecorationSet.empty;
+
+    const decorations = [];
+    doc.descendants((node, pos) => {
+      if (!node.isTextblock) return true;
+      if (node.content.size === 0) {
+        const hint = blockText(node);
+        if (hint) decorations.push(placeholderAt(pos, node, hint));
+      }
+      return false;
+    });
+    return DecorationSet.create(doc, decorations);
+  }
+
+  return new Plugin({
+    key: placeholderPluginKey,
+    state: {
+      init: (_, state) => computeDecorations(state.doc),
+      apply: (tr, decorations, _oldState, newState) =>
+        tr.docChanged ? computeDecorations(newState.doc) : decorations
+    },
+    props: {
+      decorations(state) {
+        return this.getState(state);
+      },
+      attributes: text ? { "aria-placeholder": text } : {}
+    }
+  });
+}
+
+export default createPlaceholderPlugin;
@@ -1,4 +1,5 @@
 import { getIcon } from './icons.js';
+import { TOOLBAR_SEPARATOR } from './toolbarItems.js';
 
 export function makeBtn({ label, title, run, isActive, isEnabled, icon }) {
   const btn = document.createElement("button");
@@ -56,3 +57,36 @@ export function makeSelect({ options, compute, apply, isEnabled }) {
     }
   };
 }
+
+// A divider between groups of toolbar items
+export function makeSeparator() {
+  const span = document.createElement("span");
+  span.className = "pm-toolbar-separator";
+  span.setAttribute("role", "separator");
+  span.setAttribute("aria-orientation", "vertical");
+  return { dom: span, bindView() {}, update() {} };
+}
+
+/**
+ * Order toolbar `items` ({ key: item }) by `layout`, a list of keys and
+ * TOOLBAR_SEPARATOR (see resolveToolbarLayout); without a layout all items
+ * are shown as built. Keys the editor has no item for are skipped, and so are
+ * the separators they would leave dangling.
+ */
+export function arrangeItems(items, layout) {
+  if (!layout) return Object.values(items);
+  const arranged = [];
+  let separate = false;
+  for (const key of layout) {
+    if (key === TOOLBAR_SEPARATOR) {
+      separate = arranged.length > 0;
+      continue;
+    }
+    const item = items[key];
+    if (!item || arranged.includes(item)) continue;
+    if (separate) arranged.push(makeSeparator());
+    separate = false;
+    arranged.push(item);
+  }
+  return arranged;
+}
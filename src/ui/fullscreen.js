@@ -0,0 +1,91 @@
+// Fullscreen (distraction-free) writing: the active view and its toolbar fill
+// the viewport until Escape, the shortcut or the toolbar button puts them back
+
+import { keyMatches } from "../commands/textarea.js";
+
+export const FULLSCREEN_SHORTCUT = "Shift-Mod-f";
+
+/**
+ * Let the editor fill the viewport. The view's elements move into a fixed
+ * frame inserted where they were, so the textarea never leaves its form, and
+ * move back on exit. Views built while fullscreen land in the frame as well:
+ * every view is built around the textarea.
+ *
+ * options: { dimInactive, shortcut }
+ *   dimInactive fades all but the block with the caret (WYSIWYG panes only;
+ *   a textarea can't style parts of its text).
+ *   shortcut toggles fullscreen from inside the editor, false to disable.
+ *
+ * context: { onChange(active) } from the owning editor.
+ *
+ * Returns { active, enter, exit, toggle, destroy }.
+ */
+export function createFullscreen(editor, options = {}, context = {}) {
+  const { element } = editor;
+  const { dimInactive = false, shortcut = FULLSCREEN_SHORTCUT } = options;
+  const doc = element.ownerDocument;
+  const win = doc.defaultView;
+  const host = element.parentElement;
+
+  let frame = null;
+  let saved = null;
+
+  function enter() {
+    if (frame || editor.destroyed) return;
+    const elements = editor.view.frameElements();
+    saved = { x: win?.scrollX ?? 0, y: win?.scrollY ?? 0 };
+
+    frame = doc.createElement("div");
+    frame.className = "pm-fullscreen";
+    frame.classList.toggle("pm-fullscreen-dim", !!dimInactive);
+    elements[0].insertAdjacentElement("beforebegin", frame);
+    frame.append(...elements);
+    doc.documentElement.classList.add("pm-fullscreen-open");
+
+    // Moving the elements dropped focus
+    editor.view.focus();
+    context.onChange?.(true);
+  }
+
+  function exit() {
+    if (!frame) return;
+    frame.replaceWith(...frame.childNodes);
+    frame = null;
+    doc.documentElement.classList.remove("pm-fullscreen-open");
+
+    if (!editor.destroyed) editor.view.focus();
+    // Focusing may have scrolled the page; go back to where the user was
+    win?.scrollTo?.(saved.x, saved.y);
+    context.onChange?.(false);
+  }
+
+  function toggle() {
+    if (frame) exit();
+    else enter();
+  }
+
+  const inEditor = (target) => (frame ? frame.contains(target) : editor.view.frameElements().some((el) => el.contains(target)));
+  const onKeyDown = (e) => {
+    if (e.defaultPrevented || editor.destroyed || !inEditor(e.target)) return;
+    if (frame && e.key === "Escape") {
+      e.preventDefault();
+      exit();
+    } else if (shortcut && keyMatches(e, shortcut)) {
+      e.preventDefault();
+      toggle();
+    }
+  };
+  // Dialogs (link editing) live outside the editor, so their Escape never gets here
+  host?.addEventListener("keydown", onKeyDown);
+
+  return {
+    get active() { return !!frame; },
+    enter,
+    exit,
+    toggle,
+    destroy() {
+      exit();
+      host?.removeEventListener("keydown", onKeyDown);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// Toolbar for markdown mode: the WYSIWYG toolbar's items, acting on the
+// textarea's selection as markdown syntax
+
+import { makeBtn, makeSelect, arrangeItems } from "./builders.js";
+import { TOOLBAR_ITEMS, headingOptions, headingValue } from "./toolbarItems.js";
+import {
+  runTextareaCommand, toggleWrap, insertLink, setHeading, setParagraph, toggleList,
+  toggleBlockquote, toggleCodeFence, indentListItems, outdentListItems,
+  isWrapActive, isLinkActive, headingLevel, isListActive, isBlockquoteActive, isInCodeFence
+} from "../commands/textarea.js";
+
+// Events after which the caret may have moved
+const SELECTION_EVENTS = ["input", "select", "keyup", "mouseup", "focus"];
+
+/**
+ * Insert a toolbar before the textarea. Items get a small "view" over the
+ * textarea ({ run(command), focus() }) and a "state" of { value, from, to },
+ * so the shared builders work unchanged.
+ *
+ * options.fullscreen: { toggle(), isActive() } adds a fullscreen button.
+ * options.items and options.headingLevels work as for markdownToolbarPlugin.
+ *
+ * Returns { element, update, destroy }.
+ */
+export function createTextareaToolbar(textarea, options = {}) {
+  const { fullscreen, items: layout, headingLevels } = options;
+  const toolbar = document.createElement("div");
+  toolbar.className = "pm-toolbar pm-markdown-toolbar";
+  toolbar.setAttribute("role", "toolbar");
+  toolbar.setAttribute("aria-label", "Editor formatting tools");
+
+  const view = {
+    run(command) {
+      textarea.focus();
+      runTextareaCommand(textarea, command);
+      update();
+    },
+    focus() { textarea.focus(); }
+  };
+  const run = (command) => (v) => v.run(command);
+
+  const items = {
+    heading: makeSelect({
+      options: headingOptions(headingLevels),
+      compute: (s) => headingValue(headingLevel(s), headingLevels),
+      apply: (v, value) => {
+        // setHeading toggles, so only apply it when the level actually changes
+        const level = value === "p" ? 0 : parseInt(value.substring(1));
+        if (level === headingLevel(state())) return;
+        v.run(level ? setHeading(level) : setParagraph);
+      }
+    }),
+    bold: makeBtn({ ...TOOLBAR_ITEMS.bold, run: run(toggleWrap("**")), isActive: isWrapActive("**") }),
+    italic: makeBtn({ ...TOOLBAR_ITEMS.italic, run: run(toggleWrap("*")), isActive: isWrapActive("*") }),
+    code: makeBtn({ ...TOOLBAR_ITEMS.code, run: run(toggleWrap("`")), isActive: isWrapActive("`") }),
+    link: makeBtn({ ...TOOLBAR_ITEMS.link, run: run(insertLink), isActive: isLinkActive }),
+    orderedList: makeBtn({ ...TOOLBAR_ITEMS.orderedList, run: run(toggleList(true)), isActive: isListActive(true) }),
+    bulletList: makeBtn({ ...TOOLBAR_ITEMS.bulletList, run: run(toggleList(false)), isActive: isListActive(false) }),
+    indent: makeBtn({ ...TOOLBAR_ITEMS.indent, run: run(indentListItems), isEnabled: (s) => !!indentListItems(s) }),
+    outdent: makeBtn({ ...TOOLBAR_ITEMS.outdent, run: run(outdentListItems), isEnabled: (s) => !!outdentListItems(s) }),
+    blockquote: makeBtn({ ...TOOLBAR_ITEMS.blockquote, run: run(toggleBlockquote), isActive: isBlockquoteActive }),
+    codeBlock: makeBtn({ ...TOOLBAR_ITEMS.codeBlock, run: run(toggleCodeFence), isActive: isInCodeFence })
+  };
+  if (fullscreen) {
+    items.fullscreen = makeBtn({ ...TOOLBAR_ITEMS.fullscreen, run: () => fullscreen.toggle(), isActive: () => fullscreen.isActive() });
+  }
+
+  const shown = arrangeItems(items, layout);
+  for (const it of shown) { it.bindView(view); toolbar.appendChild(it.dom); }
+  textarea.insertAdjacentElement("beforebegin", toolbar);
+
+  function state() {
+    return { value: textarea.value, from: textarea.selectionStart ?? 0, to: textarea.selectionEnd ?? 0 };
+  }
+
+  function update() {
+    const st = state();
+    for (const it of shown) it.update(st);
+    // A read-only field keeps its toolbar visible but inert (bar fullscreen), like the WYSIWYG one
+    const readOnly = textarea.readOnly || textarea.disabled;
+    toolbar.classList.toggle("pm-toolbar-readonly", readOnly);
+    if (readOnly) {
+      toolbar.querySelectorAll("button, select").forEach((control) => {
+        if (control !== items.fullscreen?.dom) control.disabled = true;
+      });
+    }
+  }
+
+  SELECTION_EVENTS.forEach((type) => textarea.addEventListener(type, update));
+  update();
+
+  return {
+    element: toolbar,
+    update,
+    destroy() {
+      SELECTION_EVENTS.forEach((type) => textarea.removeEventListener(type, update));
+      toolbar.remove();
+    }
+  };
+}
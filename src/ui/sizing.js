@@ -0,0 +1,207 @@
+// Editor height: auto-grow between a minimum and maximum number of rows, and
+// a resize handle. The same rules size the textarea and the WYSIWYG surface,
+// and a height the user picks (with the handle or the browser's own resize
+// grip) carries over when the mode changes.
+
+// Without layout (or with line-height: normal and no font size) assume 16px text
+const FALLBACK_FONT_SIZE = 16;
+
+const px = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const styleOf = (el) => el.ownerDocument.defaultView.getComputedStyle(el);
+const verticalBorder = (style) => px(style.borderTopWidth) + px(style.borderBottomWidth);
+
+/** Border-box height of `rows` lines of text in `el`. */
+export function rowsToHeight(el, rows) {
+  const style = styleOf(el);
+  let lineHeight = parseFloat(style.lineHeight);
+  if (!Number.isFinite(lineHeight)) lineHeight = (parseFloat(style.fontSize) || FALLBACK_FONT_SIZE) * 1.2;
+  return Math.round(rows * lineHeight + px(style.paddingTop) + px(style.paddingBottom) + verticalBorder(style));
+}
+
+// Border-box height `el` needs to show all of its content
+function contentHeight(el) {
+  const { style } = el;
+  const prev = { height: style.height, minHeight: style.minHeight, scrollTop: el.scrollTop };
+  style.minHeight = "0px";
+  style.height = "0px";
+  const height = el.scrollHeight + verticalBorder(styleOf(el));
+  style.height = prev.height;
+  style.minHeight = prev.minHeight;
+  el.scrollTop = prev.scrollTop;
+  return height;
+}
+
+/**
+ * Size the active view of `editor`.
+ *
+ * options: { autoGrow, minRows, maxRows, resizeHandle }
+ *   autoGrow fits the height to the content, between minRows (default: the
+ *   textarea's rows) and maxRows (default: no limit); past that it scrolls.
+ *   resizeHandle adds a draggable bar below the editor. Dragging it (or the
+ *   browser's resize grip) fixes the height, within the same limits, until
+ *   the handle is double-clicked.
+ *
+ * The editor calls capture() before a view is destroyed and attach() once the
+ * next one is built.
+ *
+ * Returns { attach, capture, update, reset, destroy, handle }.
+ */
+export function createSizing(editor, options = {}) {
+  const { element } = editor;
+  const { autoGrow = false, resizeHandle = false } = options;
+  const minRows = options.minRows ?? element.rows ?? 2;
+  const maxRows = options.maxRows ?? Infinity;
+  const doc = element.ownerDocument;
+
+  let targets = [];
+  let userHeight = null;
+  let suspended = false;
+  let pending = false;
+  // The inline height we last set on each element; anything else came from the user
+  const applied = new WeakMap();
+  const widths = new WeakMap();
+
+  function clamp(height) {
+    const ref = targets[0];
+    if (!ref) return height;
+    const max = Number.isFinite(maxRows) ? rowsToHeight(ref, maxRows) : Infinity;
+    return Math.min(max, Math.max(rowsToHeight(ref, minRows), height));
+  }
+
+  function setHeight(height) {
+    for (const el of targets) {
+      el.style.boxSizing = "border-box";
+      el.style.minHeight = "0px";
+      el.style.maxHeight = "none";
+      el.style.height = `${Math.round(height)}px`;
+      applied.set(el, el.style.height);
+    }
+  }
+
+  function release() {
+    for (const el of targets) {
+      for (const prop of ["height", "minHeight", "maxHeight", "boxSizing"]) el.style[prop] = "";
+      applied.delete(el);
+    }
+  }
+
+  function update() {
+    if (editor.destroyed || suspended || !targets.length) return;
+    if (userHeight != null) setHeight(clamp(userHeight));
+    else if (autoGrow) setHeight(clamp(Math.max(...targets.map(contentHeight))));
+  }
+
+  // One measurement per frame however many edits arrive
+  const schedule = () => {
+    if (pending) return;
+    pending = true;
+    requestAnimationFrame(() => {
+      pending = false;
+      update();
+    });
+  };
+
+  // A height we didn't set was dragged with the browser's resize grip
+  function capture(el) {
+    for (const target of el ? [el] : targets) {
+      const height = target.style.height;
+      if (height && height !== applied.get(target)) userHeight = px(height);
+    }
+  }
+
+  // Width changes re-wrap the text; height changes may be the resize grip
+  const Observer = doc.defaultView?.ResizeObserver;
+  const observer = Observer ? new Observer((entries) => {
+    for (const { target, contentRect } of entries) {
+      if (suspended) continue;
+      capture(target);
+      if (widths.get(target) !== contentRect.width) {
+        widths.set(target, contentRect.width);
+        if (autoGrow && userHeight == null) schedule();
+      }
+    }
+  }) : null;
+
+  function attach() {
+    observer?.disconnect();
+    targets = editor.view.sizeTargets();
+    for (const el of targets) observer?.observe(el);
+    if (handle) editor.view.frameElements().at(-1)?.insertAdjacentElement("afterend", handle);
+    update();
+  }
+
+  // Back to the configured sizing (auto-grow or the stylesheet's)
+  function reset() {
+    userHeight = null;
+    release();
+    update();
+  }
+
+  function resizeTo(height) {
+    userHeight = clamp(height);
+    setHeight(userHeight);
+  }
+
+  let handle = null;
+  if (resizeHandle) {
+    handle = doc.createElement("div");
+    handle.className = "pm-resize-handle";
+    handle.tabIndex = 0;
+    handle.setAttribute("role", "separator");
+    handle.setAttribute("aria-orientation", "horizontal");
+    handle.setAttribute("aria-label", "Resize editor");
+    if (element.id) handle.setAttribute("aria-controls", element.id);
+
+    handle.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || !targets.length) return;
+      e.preventDefault();
+      const startY = e.clientY;
+      const startHeight = targets[0].getBoundingClientRect().height;
+      const onMove = (move) => resizeTo(startHeight + move.clientY - startY);
+      const onUp = () => {
+        doc.removeEventListener("pointermove", onMove);
+        doc.removeEventListener("pointerup", onUp);
+        handle.classList.remove("pm-resizing");
+      };
+      handle.classList.add("pm-resizing");
+      doc.addEventListener("pointermove", onMove);
+      doc.addEventListener("pointerup", onUp);
+    });
+    // One row per arrow key press
+    handle.addEventListener("keydown", (e) => {
+      if ((e.key !== "ArrowUp" && e.key !== "ArrowDown") || !targets.length) return;
+      e.preventDefault();
+      const row = rowsToHeight(targets[0], 1) - rowsToHeight(targets[0], 0);
+      resizeTo(targets[0].getBoundingClientRect().height + (e.key === "ArrowDown" ? row : -row));
+    });
+    handle.addEventListener("dblclick", reset);
+  }
+
+  const offChange = editor.on("change", () => { if (autoGrow) schedule(); });
+  // Fullscreen lays the editor out itself
+  const offFullscreen = editor.on("fullscreenchange", ({ fullscreen }) => {
+    suspended = fullscreen;
+    if (fullscreen) release();
+    else update();
+  });
+
+  attach();
+
+  return {
+    handle,
+    attach,
+    capture: () => capture(),
+    update,
+    reset,
+    destroy() {
+      observer?.disconnect();
+      offChange();
+      offFullscreen();
+      handle?.remove();
+    }
+  };
+}
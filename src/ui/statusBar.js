@@ -0,0 +1,92 @@
+// Status bar: word, character and reading-time counts under the editor
+
+// Runs of letters/digits (with inner apostrophes); markdown punctuation like # * - | is not a word
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Count words, characters and reading time of a markdown string. Characters
+ * are counted on the markdown itself since that is what the form submits.
+ */
+export function countMarkdown(markdown = "", wordsPerMinute = 200) {
+  const words = (markdown.match(WORD_PATTERN) || []).length;
+  return {
+    words,
+    characters: markdown.length,
+    minutes: words ? Math.max(1, Math.round(words / wordsPerMinute)) : 0
+  };
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function makeItem(className) {
+  const span = document.createElement("span");
+  span.className = className;
+  return span;
+}
+
+/**
+ * Attach a status bar below the editor.
+ *
+ * options: { wordsPerMinute, warnAt }
+ *   warnAt is the fraction of the textarea's maxlength at which the count turns into a warning.
+ */
+export function createStatusBar(editor, options = {}) {
+  const { element } = editor;
+  const { wordsPerMinute = 200, warnAt = 0.9 } = options;
+
+  const bar = document.createElement("div");
+  bar.className = "pm-status-bar";
+  const words = makeItem("pm-status-words");
+  const characters = makeItem("pm-status-characters");
+  const time = makeItem("pm-status-time");
+  bar.append(words, characters, time);
+  element.insertAdjacentElement("afterend", bar);
+
+  function render(markdown) {
+    const counts = countMarkdown(markdown, wordsPerMinute);
+    const max = element.maxLength;
+    const limited = max >= 0;
+
+    words.textContent = plural(counts.words, "word");
+    characters.textContent = limited
+      ? `${counts.characters} / ${max} characters`
+      : plural(counts.characters, "character");
+    time.textContent = `${counts.minutes || "<1"} min read`;
+
+    bar.classList.toggle("pm-status-warning", limited && counts.characters >= max * warnAt && counts.characters < max);
+    bar.classList.toggle("pm-status-limit", limited && counts.characters >= max);
+  }
+
+  let timer = null;
+  const refresh = () => {
+    clearTimeout(timer);
+    render(editor.content);
+  };
+
+  // Markdown edits arrive with their value; WYSIWYG edits are counted once the
+  // debounced sync has serialized them, or on our own debounce if sync is off
+  const offChange = editor.on("change", (detail) => {
+    if (editor.mode === "markdown") {
+      render(detail.markdown);
+    } else if (editor.options.syncOnChange === false) {
+      clearTimeout(timer);
+      timer = setTimeout(refresh, 300);
+    }
+  });
+  const offSync = editor.on("aftersync", ({ markdown }) => render(markdown));
+  const offMode = editor.on("modechange", refresh);
+
+  refresh();
+
+  return {
+    element: bar,
+    update: refresh,
+    destroy() {
+      clearTimeout(timer);
+      offChange();
+      offSync();
+      offMode();
+      bar.remove();
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// Toolbar item definitions shared by the WYSIWYG toolbar (markdownToolbarPlugin)
+// and the markdown-mode toolbar, so both modes show the same controls.
+
+export const HEADING_OPTIONS = [["p", "Paragraph"], ["h1", "H1"], ["h2", "H2"], ["h3", "H3"], ["h4", "H4"], ["h5", "H5"], ["h6", "H6"]];
+
+export const TOOLBAR_ITEMS = {
+  bold: { label: "Bold", title: "Bold (Mod-B)", icon: "bold" },
+  italic: { label: "Italic", title: "Italic (Mod-I)", icon: "italic" },
+  code: { label: "Inline code", title: "Inline code (Mod-`)", icon: "inline_code" },
+  link: { label: "Link", title: "Link (Mod-K)", icon: "link" },
+  orderedList: { label: "ol", title: "Numbered list (Shift-Ctrl-7)", icon: "ol" },
+  bulletList: { label: "ul", title: "Bulleted list (Shift-Ctrl-8)", icon: "ul" },
+  indent: { label: "→", title: "Indent (Tab)" },
+  outdent: { label: "←", title: "Outdent (Shift-Tab)" },
+  blockquote: { label: "❝ ❞", title: "Blockquote (Shift-Ctrl-B)", icon: "blockquote" },
+  codeBlock: { label: "</>", title: "Code block (Shift-Ctrl-\\)", icon: "code" },
+  flattenCode: { label: "<*>", title: "Flatten to one code block", icon: "flatten_code" },
+  horizontalRule: { label: "—", title: "Horizontal rule" },
+  fullscreen: { label: "Fullscreen", title: "Fullscreen (Shift-Mod-F)", icon: "fullscreen" }
+};
+
+// Names for toolbar layouts (e.g. data-toolbar="heading,bold,italic,|,ul,ol"),
+// by TOOLBAR_ITEMS key or short alias; "heading" is the block type select
+export const TOOLBAR_ITEM_NAMES = {
+  heading: "heading",
+  ...Object.fromEntries(Object.keys(TOOLBAR_ITEMS).map((key) => [key.toLowerCase(), key])),
+  ol: "orderedList",
+  ul: "bulletList",
+  quote: "blockquote",
+  codeblock: "codeBlock",
+  flatten: "flattenCode",
+  hr: "horizontalRule"
+};
+
+// Separates groups of items in a layout
+export const TOOLBAR_SEPARATOR = "|";
+
+/**
+ * Turn a layout (array or comma/space separated string of item names and
+ * "|") into item keys. Returns { layout, unknown }.
+ */
+export function resolveToolbarLayout(list) {
+  const names = Array.isArray(list) ? list : String(list ?? "").split(/[\s,]+/);
+  const layout = [];
+  const unknown = [];
+  for (const name of names) {
+    if (!name) continue;
+    if (name === TOOLBAR_SEPARATOR) layout.push(TOOLBAR_SEPARATOR);
+    else if (TOOLBAR_ITEM_NAMES[name.toLowerCase()]) layout.push(TOOLBAR_ITEM_NAMES[name.toLowerCase()]);
+    else unknown.push(name);
+  }
+  return { layout, unknown };
+}
+
+// The heading select's options, limited to `levels` (default: all six)
+export function headingOptions(levels) {
+  if (!levels) return HEADING_OPTIONS;
+  return HEADING_OPTIONS.filter(([value]) => value === "p" || levels.includes(Number(value.slice(1))));
+}
+
+// The select value for a block at heading `level` (0 for none); a level left
+// out of `levels` has no option, so it shows as a paragraph
+export function headingValue(level, levels) {
+  return level && (!levels || levels.includes(level)) ? `h${level}` : "p";
+}
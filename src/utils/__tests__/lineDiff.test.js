@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { unifiedDiff } from '../lineDiff.js';
+
+describe('unifiedDiff', () => {
+  it('should be empty for equal texts', () => {
+    expect(unifiedDiff('a\nb', 'a\nb')).toBe('');
+  });
+
+  it('should show removed lines before added ones with context', () => {
+    const before = ['1', '2', '3', '4', '+ a', '5', '6', '7', '8'].join('\n');
+    const after = ['1', '2', '3', '4', '* a', '5', '6', '7', '8'].join('\n');
+
+    expect(unifiedDiff(before, after, { fromFile: 'a/post.md', toFile: 'b/post.md' })).toBe([
+      '--- a/post.md',
+      '+++ b/post.md',
+      '@@ -2,7 +2,7 @@',
+      ' 2',
+      ' 3',
+      ' 4',
+      '-+ a',
+      '+* a',
+      ' 5',
+      ' 6',
+      ' 7',
+      ''
+    ].join('\n'));
+  });
+
+  it('should split distant changes into hunks and count lines', () => {
+    const before = ['x', ...'abcdefghij'].join('\n');
+    const after = [...'abcdefghij', 'y', 'z'].join('\n');
+
+    expect(unifiedDiff(before, after, { context: 1 })).toBe([
+      '--- a',
+      '+++ b',
+      '@@ -1,2 +1,1 @@',
+      '-x',
+      ' a',
+      '@@ -11,1 +10,3 @@',
+      ' j',
+      '+y',
+      '+z',
+      ''
+    ].join('\n'));
+  });
+
+  it('should show a change too large to align as one replaced block', () => {
+    // The shared "middle" line is not looked for
+    const lines = (prefix) => Array.from({ length: 3000 }, (_, i) => (i === 1500 ? 'middle' : `${prefix}${i}`));
+    const before = ['same', ...lines('a'), 'end'].join('\n');
+    const after = ['same', ...lines('b'), 'end'].join('\n');
+
+    const diff = unifiedDiff(before, after, { context: 1 }).split('\n');
+
+    expect(diff.slice(0, 5)).toEqual(['--- a', '+++ b', '@@ -1,3002 +1,3002 @@', ' same', '-a0']);
+    expect(diff[1504]).toBe('-middle');
+    expect(diff[3004]).toBe('+b0');
+    expect(diff.slice(-3)).toEqual(['+b2999', ' end', '']);
+  });
+});
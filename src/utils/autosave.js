@@ -0,0 +1,252 @@
+// Local draft autosave and crash recovery
+//
+// A draft store is any object with async get(key), set(key, draft) and remove(key).
+// Drafts look like { markdown, mode, selection: { from, to }, savedAt, base }, where
+// `savedAt` is in milliseconds (Date.now()) and `base` is the server value the
+// draft was written against.
+
+import { TextSelection } from "prosemirror-state";
+import { localStorageFor } from "./preferences.js";
+
+const KEY_PREFIX = "pm-editor-draft:";
+
+export function createLocalStorageDraftStore(storage = globalThis.localStorage, prefix = KEY_PREFIX) {
+  return {
+    async get(key) {
+      try {
+        const raw = storage?.getItem(prefix + key);
+        return raw ? JSON.parse(raw) : null;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, draft) {
+      try { storage?.setItem(prefix + key, JSON.stringify(draft)); } catch { /* quota exceeded or blocked */ }
+    },
+    async remove(key) {
+      try { storage?.removeItem(prefix + key); } catch { /* blocked */ }
+    }
+  };
+}
+
+export function createIndexedDBDraftStore(options = {}) {
+  const { dbName = "pm-editor-drafts", storeName = "drafts", indexedDB = globalThis.indexedDB } = options;
+  let dbPromise = null;
+
+  const open = () => (dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+
+  const run = (mode, fn) => open().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)).then((draft) => draft ?? null),
+    set: (key, draft) => run("readwrite", (store) => store.put(draft, key)),
+    remove: (key) => run("readwrite", (store) => store.delete(key))
+  };
+}
+
+// Default key: page path + field key, so a "body" field on two articles gets two drafts
+function draftKeyFor(element, fieldKey) {
+  if (!fieldKey) return null;
+  const path = element.ownerDocument?.defaultView?.location?.pathname ?? "";
+  return `${path}:${fieldKey}`;
+}
+
+function captureSelection(view) {
+  if (view.view) {
+    const { from, to } = view.view.state.selection;
+    return { from, to };
+  }
+  if (view.textarea) {
+    return { from: view.textarea.selectionStart ?? 0, to: view.textarea.selectionEnd ?? 0 };
+  }
+  return null;
+}
+
+function applySelection(view, selection) {
+  if (!selection) return;
+  try {
+    if (view.view) {
+      const { doc } = view.view.state;
+      const clamp = (n) => Math.max(0, Math.min(n, doc.content.size));
+      const sel = TextSelection.create(doc, clamp(selection.from), clamp(selection.to));
+      view.view.dispatch(view.view.state.tr.setSelection(sel));
+    } else if (view.textarea) {
+      view.textarea.setSelectionRange(selection.from, selection.to);
+    }
+  } catch {
+    // Positions from a stale draft may not resolve; keep the default selection
+  }
+}
+
+// Below this a number is taken as Unix seconds (it would be early 1973 in milliseconds)
+const SECONDS_BELOW = 1e11;
+
+// Milliseconds since the epoch, to compare with draft.savedAt. Accepts milliseconds,
+// Unix seconds (as most servers emit) or a date string
+function parseTimestamp(value) {
+  if (value == null || value === "") return null;
+  const n = typeof value === "number" ? value : Number(value);
+  if (Number.isFinite(n)) return Math.abs(n) < SECONDS_BELOW ? n * 1000 : n;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Inline "restore or discard" prompt shown before the editor
+function showDraftNotice(anchor, draft, { restore, discard }) {
+  const notice = document.createElement("div");
+  notice.className = "pm-draft-notice";
+  notice.setAttribute("role", "status");
+
+  const message = document.createElement("span");
+  message.textContent = `An unsaved draft from ${new Date(draft.savedAt).toLocaleString()} was found.`;
+
+  const restoreBtn = document.createElement("button");
+  restoreBtn.type = "button";
+  restoreBtn.className = "pm-draft-restore";
+  restoreBtn.textContent = "Restore draft";
+
+  const discardBtn = document.createElement("button");
+  discardBtn.type = "button";
+  discardBtn.className = "pm-draft-discard";
+  discardBtn.textContent = "Discard";
+
+  restoreBtn.addEventListener("click", () => { notice.remove(); restore(); });
+  discardBtn.addEventListener("click", () => { notice.remove(); discard(); });
+
+  notice.append(message, restoreBtn, discardBtn);
+  anchor.parentElement?.insertBefore(notice, anchor);
+  return notice;
+}
+
+/**
+ * Attach autosave to an editor instance.
+ *
+ * options: { store, key, delay, updatedAt, onDraftFound }
+ *   updatedAt (or data-editor-updated-at) is when the server value was saved: a
+ *   date string, milliseconds or Unix seconds. Drafts with an older savedAt
+ *   (milliseconds) are dropped.
+ *   onDraftFound(draft, { restore, discard }) replaces the default inline prompt.
+ * hooks:   { fieldKey, anchor, reload(markdown, mode) } supplied by the editor wiring.
+ */
+export function createAutosave(editor, options = {}, hooks = {}) {
+  const { element } = editor;
+  const store = options.store ?? createLocalStorageDraftStore(localStorageFor(element));
+  const key = options.key ?? draftKeyFor(element, hooks.fieldKey);
+  const delay = options.delay ?? 1000;
+  const serverValue = element.value;
+  const updatedAt = parseTimestamp(options.updatedAt ?? element.getAttribute("data-editor-updated-at"));
+
+  if (!key) {
+    console.warn("[ProseMirror] Autosave needs a field key (data-editor-key, name or id); drafts are disabled.");
+    return null;
+  }
+
+  // Stores may throw, reject (IndexedDB unavailable, quota exceeded) or return plain values;
+  // a failure costs that one draft operation, never the editor
+  function attempt(action, fn) {
+    const warn = (err) => console.warn(`[ProseMirror] Autosave could not ${action} the draft.`, err);
+    try {
+      return Promise.resolve(fn()).catch(warn);
+    } catch (err) {
+      warn(err);
+      return Promise.resolve();
+    }
+  }
+
+  let pending = true; // no saves until any existing draft has been offered
+  let timer = null;
+  let lastSaved = null;
+  let notice = null;
+  let destroyed = false;
+
+  function save(markdown) {
+    if (pending || destroyed || markdown === lastSaved) return;
+    lastSaved = markdown;
+    if (markdown === serverValue) {
+      attempt("remove", () => store.remove(key));
+      return;
+    }
+    const draft = {
+      markdown,
+      mode: editor.mode,
+      selection: captureSelection(editor.view),
+      savedAt: Date.now(),
+      base: serverValue
+    };
+    attempt("save", () => store.set(key, draft));
+  }
+
+  function clear() {
+    clearTimeout(timer);
+    lastSaved = serverValue;
+    return attempt("remove", () => store.remove(key));
+  }
+
+  // WYSIWYG content is already serialized by the debounced sync; reuse it
+  const offAfterSync = editor.on("aftersync", ({ markdown }) => save(markdown));
+  // (read detail.markdown only in markdown mode: in WYSIWYG mode it serializes on access)
+  const offChange = editor.on("change", (detail) => {
+    if (editor.mode !== "markdown") return;
+    const { markdown } = detail;
+    clearTimeout(timer);
+    timer = setTimeout(() => save(markdown), delay);
+  });
+
+  // A submit nobody cancelled means the server now has the content
+  const form = element.closest?.("form") ?? null;
+  const onSubmit = (e) => setTimeout(() => { if (!e.defaultPrevented) clear(); }, 0);
+  form?.addEventListener("submit", onSubmit);
+
+  const ready = Promise.resolve().then(() => store.get(key)).then((draft) => {
+    if (destroyed) return;
+    const stale = !draft || typeof draft.markdown !== "string" || draft.markdown === serverValue ||
+      (updatedAt != null && !(draft.savedAt > updatedAt));
+    if (stale) {
+      pending = false;
+      if (draft) attempt("remove", () => store.remove(key));
+      return;
+    }
+
+    const restore = () => {
+      pending = false;
+      hooks.reload?.(draft.markdown, draft.mode);
+      applySelection(editor.view, draft.mode === editor.mode ? draft.selection : null);
+      lastSaved = draft.markdown;
+    };
+    const discard = () => {
+      pending = false;
+      clear();
+    };
+
+    if (typeof options.onDraftFound === "function") options.onDraftFound(draft, { restore, discard });
+    else notice = showDraftNotice(hooks.anchor ?? element, draft, { restore, discard });
+  }, (err) => {
+    // No draft to offer: start saving instead of staying off for the session
+    pending = false;
+    console.warn("[ProseMirror] Autosave could not read the draft.", err);
+  });
+
+  return {
+    key,
+    ready,
+    clear,
+    destroy() {
+      destroyed = true;
+      clearTimeout(timer);
+      offAfterSync();
+      offChange();
+      form?.removeEventListener("submit", onSubmit);
+      notice?.remove();
+    }
+  };
+}
@@ -0,0 +1,94 @@
+// Per-field editor options declared in markup, for templates that can't pass
+// JS options per field:
+//
+//   <textarea data-editor-mode="prosemirror" data-toolbar="heading,bold,italic,|,ul,ol"
+//             data-allowed-headings="2-4" data-height="6-20" data-sync-delay="500">
+//
+// Unknown or invalid values are skipped with a debug warning (window.__PM_DEBUG).
+
+import { resolveExtensions } from "../extensions/registry.js";
+import { resolveToolbarLayout } from "../ui/toolbarItems.js";
+import { debugWarn } from "../debug/utils.js";
+
+const CODE_JOIN_MODES = ["smart", "always", "never"];
+const READONLY_TOGGLE = { hide: true, show: false };
+
+const integer = (value) => (/^\d+$/.test(value) ? Number(value) : NaN);
+
+// "2-4", "2,3,5" or "1-2,4" -> [2, 3, 4] (null if anything is not a level 1-6)
+function parseHeadingLevels(value) {
+  const levels = new Set();
+  for (const part of value.split(/[\s,]+/).filter(Boolean)) {
+    const [from, to = from] = part.split("-").map(integer);
+    if (!(from >= 1 && to <= 6 && from <= to)) return null;
+    for (let level = from; level <= to; level++) levels.add(level);
+  }
+  return levels.size ? [...levels].sort() : null;
+}
+
+// "auto" grows from the textarea's rows, "6-20" grows between those rows, "10" is fixed
+function parseHeight(value) {
+  if (value === "auto") return { autoGrow: true };
+  const match = value.match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) return null;
+  const minRows = Number(match[1]);
+  const maxRows = Number(match[2] ?? match[1]);
+  if (!minRows || maxRows < minRows) return null;
+  return { autoGrow: true, minRows, maxRows };
+}
+
+const READERS = {
+  "data-toolbar"(value, options) {
+    if (value === "false" || value === "none") {
+      options.toolbar = false;
+      return;
+    }
+    const { layout, unknown } = resolveToolbarLayout(value);
+    if (unknown.length) debugWarn(`Unknown toolbar items in data-toolbar: ${unknown.join(", ")}`);
+    options.toolbar = { ...options.toolbar, items: layout };
+  },
+  "data-extensions"(value, options) {
+    const { extensions, unknown } = resolveExtensions(value);
+    if (unknown.length) debugWarn(`Unknown extensions in data-extensions: ${unknown.join(", ")}`);
+    // With nothing recognised the field keeps the default extensions
+    if (!extensions.length) return false;
+    options.extensions = extensions;
+  },
+  "data-height"(value, options) {
+    const height = parseHeight(value);
+    if (!height) return false;
+    Object.assign(options, height);
+  },
+  "data-readonly-toggle"(value, options) {
+    if (!(value in READONLY_TOGGLE)) return false;
+    options.hideToggleWhenReadOnly = READONLY_TOGGLE[value];
+  },
+  "data-code-join-mode"(value, options) {
+    if (!CODE_JOIN_MODES.includes(value)) return false;
+    if (options.toolbar !== false) options.toolbar = { ...options.toolbar, codeJoinMode: value };
+  },
+  "data-allowed-headings"(value, options) {
+    const levels = parseHeadingLevels(value);
+    if (!levels) return false;
+    options.headingLevels = levels;
+  },
+  "data-sync-delay"(value, options) {
+    const delay = integer(value);
+    if (Number.isNaN(delay)) return false;
+    options.syncDelay = delay;
+  }
+};
+
+/**
+ * Read the data attributes above into createEditor options. Attributes that
+ * are absent or empty are left out.
+ */
+export function readDataOptions(element) {
+  const options = {};
+  for (const [name, read] of Object.entries(READERS)) {
+    const value = element.getAttribute(name)?.trim();
+    if (!value) continue;
+    if (read(value, options) === false) debugWarn(`Ignoring invalid ${name}="${value}"`, element);
+  }
+  return options;
+}
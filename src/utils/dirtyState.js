@@ -0,0 +1,56 @@
+// Dirty-state tracking for an editor instance.
+//
+// The two views normalize markdown differently (the WYSIWYG view re-serializes),
+// so "clean" is a set of equivalent strings rather than a single baseline: any
+// rendering of the clean content produced without user edits counts as clean.
+
+export function createDirtyTracker(initialMarkdown, onDirtyChange) {
+  let clean = new Set([initialMarkdown]);
+  let dirty = false;
+
+  function update(markdown) {
+    const next = !clean.has(markdown);
+    if (next === dirty) return;
+    dirty = next;
+    onDirtyChange?.(dirty);
+  }
+
+  return {
+    get dirty() { return dirty; },
+    update,
+    // Record another rendering of the clean content (e.g. after a mode switch)
+    addEquivalent(markdown) { if (!dirty) clean.add(markdown); },
+    reset(markdown) {
+      clean = new Set([markdown]);
+      update(markdown);
+    }
+  };
+}
+
+// Warn before leaving the page with unsaved changes. Submitting the form disarms
+// the guard until the next edit so a normal save never triggers the prompt.
+export function createUnloadGuard(element, isDirty) {
+  const win = element?.ownerDocument?.defaultView;
+  if (!win) return { rearm() {}, destroy() {} };
+
+  const form = element.closest?.("form") ?? null;
+  let disarmed = false;
+
+  const onBeforeUnload = (e) => {
+    if (disarmed || !isDirty()) return;
+    e.preventDefault();
+    e.returnValue = "";
+  };
+  const onSubmit = () => { disarmed = true; };
+
+  win.addEventListener("beforeunload", onBeforeUnload);
+  form?.addEventListener("submit", onSubmit);
+
+  return {
+    rearm() { disarmed = false; },
+    destroy() {
+      win.removeEventListener("beforeunload", onBeforeUnload);
+      form?.removeEventListener("submit", onSubmit);
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// Per-editor event emitter; every event is mirrored as a bubbling DOM event on the target
+
+export const EVENT_PREFIX = "pm:";
+
+function createDomEvent(target, type, detail) {
+  const win = target?.ownerDocument?.defaultView;
+  const EventCtor = win?.CustomEvent ?? globalThis.CustomEvent;
+  if (typeof EventCtor !== "function") return null;
+  return new EventCtor(`${EVENT_PREFIX}${type}`, { bubbles: true, detail });
+}
+
+export function createEventEmitter(target) {
+  const listeners = new Map();
+
+  function off(type, fn) {
+    const set = listeners.get(type);
+    if (!set) return;
+    set.delete(fn);
+    if (!set.size) listeners.delete(type);
+  }
+
+  function on(type, fn) {
+    if (typeof fn !== "function") return () => {};
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+
+  function emit(type, detail = {}) {
+    for (const fn of [...(listeners.get(type) || [])]) {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`[ProseMirror] "${type}" listener failed`, err);
+      }
+    }
+    const event = target?.dispatchEvent ? createDomEvent(target, type, detail) : null;
+    if (event) target.dispatchEvent(event);
+  }
+
+  function clear() { listeners.clear(); }
+
+  return { on, off, emit, clear };
+}
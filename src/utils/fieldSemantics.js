@@ -0,0 +1,111 @@
+// Form-field semantics for an editor that stands in for a hidden textarea.
+//
+// Once the textarea is hidden, its labels, help text and constraint validation
+// no longer reach the user. This helper mirrors them onto the visible editor:
+// ARIA attributes for assistive technology, label clicks that focus the
+// editor, and native validation failures reported next to the editor instead
+// of on a control the browser can't focus.
+
+let labelCounter = 0;
+
+// The first control the browser would report in a failed submit
+function isFirstInvalid(mirror) {
+  const form = mirror.form;
+  if (!form) return true;
+  return Array.from(form.elements).find((el) => el.willValidate && !el.validity.valid) === mirror;
+}
+
+/**
+ * hooks: { anchor, focus(), refresh() }
+ *   anchor  - element the validation message is inserted after
+ *   focus   - focus the visible editor
+ *   refresh - re-read attributes() after the state changed
+ */
+export function createFieldSemantics(mirror, hooks = {}) {
+  const { anchor, focus, refresh } = hooks;
+  const labels = Array.from(mirror.labels ?? []);
+  const generatedIds = [];
+  let invalid = false;
+  let message = null;
+
+  // aria-labelledby needs ids; only generate them where the page has none
+  const labelIds = labels.map((label) => {
+    if (!label.id) {
+      label.id = `pm-label-${++labelCounter}`;
+      generatedIds.push(label);
+    }
+    return label.id;
+  });
+
+  const onLabelClick = (e) => {
+    e.preventDefault();
+    focus?.();
+  };
+  labels.forEach((label) => label.addEventListener("click", onLabelClick));
+
+  function showMessage() {
+    if (!message) {
+      message = document.createElement("div");
+      message.className = "pm-validation-message";
+      message.id = `${mirror.id || "pm-field"}-validation`;
+      message.setAttribute("role", "alert");
+      anchor?.insertAdjacentElement("afterend", message);
+    }
+    message.textContent = mirror.validationMessage;
+  }
+
+  function hideMessage() {
+    message?.remove();
+    message = null;
+  }
+
+  // Cancelling the event stops the browser reporting on the hidden textarea
+  const onInvalid = (e) => {
+    e.preventDefault();
+    invalid = true;
+    showMessage();
+    refresh?.();
+    if (isFirstInvalid(mirror)) {
+      focus?.();
+      try { anchor?.scrollIntoView?.({ block: "nearest" }); } catch { /* not in test environments */ }
+    }
+  };
+  mirror.addEventListener("invalid", onInvalid);
+
+  return {
+    get invalid() { return invalid; },
+
+    attributes() {
+      const attrs = { role: "textbox", "aria-multiline": "true" };
+      const labelledBy = [mirror.getAttribute("aria-labelledby"), ...labelIds].filter(Boolean).join(" ");
+      if (labelledBy) attrs["aria-labelledby"] = labelledBy;
+      else if (mirror.hasAttribute("aria-label")) attrs["aria-label"] = mirror.getAttribute("aria-label");
+
+      const describedBy = [mirror.getAttribute("aria-describedby"), message?.id].filter(Boolean).join(" ");
+      if (describedBy) attrs["aria-describedby"] = describedBy;
+
+      if (mirror.required) attrs["aria-required"] = "true";
+      if (invalid || mirror.getAttribute("aria-invalid") === "true") attrs["aria-invalid"] = "true";
+      return attrs;
+    },
+
+    // Call after the textarea value changes: clears the error once the field is valid
+    update() {
+      if (!invalid) return;
+      if (mirror.validity.valid) {
+        invalid = false;
+        hideMessage();
+        refresh?.();
+      } else {
+        showMessage();
+      }
+    },
+
+    destroy() {
+      mirror.removeEventListener("invalid", onInvalid);
+      labels.forEach((label) => label.removeEventListener("click", onLabelClick));
+      generatedIds.forEach((label) => label.removeAttribute("id"));
+      hideMessage();
+    }
+  };
+}
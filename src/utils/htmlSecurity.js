@@ -73,3 +73,54 @@ export function logSecurityIssue(component, action, details, element = null) {
     emitSecurityWarning(element, `${component}:${action}`, details);
   }
 }
+
+// Elements markdown rendering can produce; anything else is unwrapped
+const ALLOWED_TAGS = new Set([
+  "a", "b", "blockquote", "br", "code", "del", "em", "h1", "h2", "h3", "h4", "h5", "h6",
+  "hr", "i", "img", "input", "li", "ol", "p", "pre", "s", "strong", "sub", "sup",
+  "table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"
+]);
+// Elements removed together with their content
+const DROPPED_TAGS = new Set(["script", "style", "iframe", "object", "embed", "template", "noscript", "textarea", "title"]);
+const ALLOWED_ATTRIBUTES = {
+  a: ["href", "title"],
+  img: ["src", "alt", "title"],
+  code: ["class"],
+  ol: ["start"],
+  input: ["type", "checked", "disabled"],
+  td: ["style"],
+  th: ["style"]
+};
+const URL_ATTRIBUTES = new Set(["href", "src"]);
+const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+/**
+ * Allowlist sanitizer for HTML rendered from markdown: keeps the elements and
+ * attributes markdown produces, drops scripts, event handlers and unsafe URLs.
+ */
+export function sanitizeHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+
+  for (const el of Array.from(template.content.querySelectorAll("*")).reverse()) {
+    const tag = el.localName;
+    if (DROPPED_TAGS.has(tag)) {
+      el.remove();
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag) || (tag === "input" && el.getAttribute("type") !== "checkbox")) {
+      el.replaceWith(...el.childNodes);
+      continue;
+    }
+    const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+    for (const { name, value } of Array.from(el.attributes)) {
+      const keep = allowed.includes(name) &&
+        (!URL_ATTRIBUTES.has(name) || SAFE_URL.test(value.replace(/[\s\u0000-\u001f]/g, ""))) &&
+        !(name === "style" && !/^text-align:\s*(left|right|center)$/.test(value));
+      if (!keep) el.removeAttribute(name);
+    }
+    // Task list checkboxes reflect the markdown; they aren't form controls
+    if (tag === "input") el.setAttribute("disabled", "");
+  }
+  return template.innerHTML;
+}
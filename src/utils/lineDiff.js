@@ -0,0 +1,93 @@
+// Line-based unified diff, for showing what normalization would change
+
+// Largest LCS table built (4 bytes a cell, so 16 MB); bigger changes show as
+// one block of removed lines followed by the added ones
+const MAX_TABLE_CELLS = 4_000_000;
+
+// Edit script between two line arrays: [{ op: " " | "-" | "+", line }]
+function diffLines(a, b) {
+  // Only the middle that differs needs the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const ops = a.slice(0, start).map((line) => ({ op: " ", line }));
+  const tail = a.slice(endA).map((line) => ({ op: " ", line }));
+  if ((n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    for (const line of a.slice(start, endA)) ops.push({ op: "-", line });
+    for (const line of b.slice(start, endB)) ops.push({ op: "+", line });
+    return ops.concat(tail);
+  }
+
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ op: " ", line: a[start + i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: "-", line: a[start + i++] });
+    } else {
+      ops.push({ op: "+", line: b[start + j++] });
+    }
+  }
+  return ops.concat(tail);
+}
+
+/**
+ * Unified diff of two texts, or "" when they are equal.
+ *
+ * options: { fromFile, toFile, context } (context lines default to 3)
+ */
+export function unifiedDiff(before, after, options = {}) {
+  if (before === after) return "";
+  const { fromFile = "a", toFile = "b", context = 3 } = options;
+  const ops = diffLines(before.split("\n"), after.split("\n"));
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  const hunks = [];
+  let current = null;
+  ops.forEach((entry, index) => {
+    if (entry.op === " ") return;
+    if (current && index - current.last <= context * 2) {
+      current.last = index;
+    } else {
+      current = { first: index, last: index };
+      hunks.push(current);
+    }
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.first - context);
+    const to = Math.min(ops.length - 1, hunk.last + context);
+    // Line numbers where the hunk starts in each text
+    let oldStart = 1;
+    let newStart = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].op !== "+") oldStart++;
+      if (ops[k].op !== "-") newStart++;
+    }
+    const lines = ops.slice(from, to + 1);
+    const oldLength = lines.filter((entry) => entry.op !== "+").length;
+    const newLength = lines.filter((entry) => entry.op !== "-").length;
+    out.push(`@@ -${oldLength ? oldStart : oldStart - 1},${oldLength} +${newLength ? newStart : newStart - 1},${newLength} @@`);
+    for (const entry of lines) out.push(entry.op + entry.line);
+  }
+  return out.join("\n") + "\n";
+}
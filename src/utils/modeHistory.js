@@ -0,0 +1,60 @@
+// Undo checkpoints across mode switches.
+//
+// Each view keeps its own history (ProseMirror's history plugin, the native
+// textarea undo) and loses it when it is destroyed. Every mode switch ends a
+// "segment" of editing, so the markdown a segment started from is kept as a
+// checkpoint. Once a view has nothing left to undo, undo steps back to the
+// previous checkpoint; redo walks forward again.
+//
+// Snapshots look like { markdown, selection }, with the selection as markdown
+// offsets ({ from, to }) so they can be restored in either mode.
+
+export function createModeHistory(hooks = {}) {
+  const { restore } = hooks;
+  let undoStack = [];
+  let redoStack = [];
+  let base = null; // where the current segment started
+  let restoring = false;
+
+  function step(from, to, current) {
+    if (!from.length) return false;
+    const target = from.pop();
+    to.push(current);
+    restoring = true;
+    try {
+      restore?.(target);
+    } finally {
+      restoring = false;
+    }
+    return true;
+  }
+
+  return {
+    get canUndo() { return undoStack.length > 0; },
+    get canRedo() { return redoStack.length > 0; },
+
+    // The current segment starts here (editor created, view rebuilt)
+    rebase(snapshot) { base = snapshot; },
+
+    // A switch is about to end the current segment
+    checkpoint(current) {
+      if (base && current.markdown !== base.markdown) {
+        undoStack.push(base);
+        redoStack = [];
+      }
+    },
+
+    // A user edit invalidates anything that was undone
+    edited() {
+      if (!restoring) redoStack = [];
+    },
+
+    undo(current) { return step(undoStack, redoStack, current); },
+    redo(current) { return step(redoStack, undoStack, current); },
+
+    clear() {
+      undoStack = [];
+      redoStack = [];
+    }
+  };
+}
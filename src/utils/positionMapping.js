@@ -0,0 +1,232 @@
+// Map positions between a ProseMirror document and its markdown source.
+//
+// Blocks are matched by order: every textblock in the document corresponds to
+// one block-level token with a line `map` from markdown-it (inline content of
+// paragraphs and headings, code blocks and fences). Inside a block, the
+// textblock's text is aligned with the block's inline source character by
+// character, skipping characters that only exist in the markdown (emphasis
+// delimiters, escapes, link destinations). The serializer's own output is
+// re-tokenized rather than instrumented, so serializer post-processing (table
+// rows, tagfilter, ...) can't put the offsets out of step.
+
+const isSpace = (ch) => ch === " " || ch === "\t" || ch === "\n" || ch === "\r";
+const same = (a, b) => a === b || (isSpace(a) && isSpace(b));
+
+// Textblock content as a string with one character per document position:
+// hard breaks read as newlines, other inline leaves as a character no source has
+function blockText(node) {
+  let text = "";
+  node.forEach((child) => {
+    if (child.isText) text += child.text;
+    else text += child.type.name === "hard_break" ? "\n" : "￼";
+  });
+  return text;
+}
+
+// Source offset of the first `count` characters of `text`: right after the last
+// of them (assoc < 0), or right before the next one, past any markup (assoc > 0)
+function sourceOffsetFor(source, text, count, assoc = -1) {
+  const nextMatch = (from, ch) => {
+    let next = from;
+    while (next < source.length && !same(source[next], ch)) next++;
+    return next < source.length ? next : -1;
+  };
+  let s = 0;
+  for (let i = 0; i < count && i < text.length; i++) {
+    const next = nextMatch(s, text[i]);
+    if (next >= 0) s = next + 1; // otherwise not in the source (e.g. an image); don't skip ahead
+  }
+  if (assoc > 0 && count < text.length) {
+    const next = nextMatch(s, text[count]);
+    if (next >= 0) s = next;
+  }
+  return s;
+}
+
+// Number of `text` characters matched by the first `offset` characters of `source`
+function textOffsetFor(source, text, offset) {
+  let i = 0;
+  for (let s = 0; s < offset && s < source.length && i < text.length; s++) {
+    if (same(source[s], text[i])) i++;
+  }
+  return i;
+}
+
+function lineStartsOf(markdown) {
+  const starts = [0];
+  for (let i = 0; i < markdown.length; i++) {
+    if (markdown[i] === "\n") starts.push(i + 1);
+  }
+  return starts;
+}
+
+function lineAt(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Table rows are split into text children with an empty `content` (see tableRowSplitting)
+function inlineSource(token) {
+  if (token.content || !token.children?.length) return token.content;
+  return token.children.filter((child) => child.type === "text").map((child) => child.content).join("\n");
+}
+
+// Where each content line of a block starts in the markdown
+function blockFromToken(token, prev, lines, lineStarts) {
+  let content;
+  let firstLine = token.map[0];
+  let prefixFor;
+
+  if (token.type === "inline") {
+    content = inlineSource(token);
+    if (prev?.type === "heading_open" && prev.markup.startsWith("#")) {
+      // ATX heading: the text sits between the #s and any closing sequence
+      prefixFor = (line, contentLine) => {
+        const hashes = line.indexOf("#");
+        const at = contentLine ? line.indexOf(contentLine, hashes) : -1;
+        return at >= 0 ? at : line.length;
+      };
+    } else {
+      // Paragraph lines are suffixes of their source lines once container markers are stripped
+      prefixFor = (line, contentLine) => line.trimEnd().length - contentLine.trimEnd().length;
+    }
+  } else {
+    content = token.content.endsWith("\n") ? token.content.slice(0, -1) : token.content;
+    if (token.type === "fence") firstLine += 1;
+    prefixFor = (line, contentLine) => line.length - contentLine.length;
+  }
+
+  const contentLines = content.split("\n");
+  const segments = [];
+  let contentOffset = 0;
+  contentLines.forEach((contentLine, k) => {
+    const lineNo = Math.min(firstLine + k, lines.length - 1);
+    const line = lines[lineNo];
+    const prefix = Math.max(0, Math.min(prefixFor(line, contentLine), line.length));
+    segments.push({ lineNo, contentOffset, length: contentLine.length, mdOffset: lineStarts[lineNo] + prefix });
+    contentOffset += contentLine.length + 1;
+  });
+
+  return { content, segments, startLine: token.map[0], endLine: token.map[1] };
+}
+
+function sourceBlocks(markdown, tokenize) {
+  const tokens = tokenize(markdown);
+  const lines = markdown.split("\n");
+  const lineStarts = lineStartsOf(markdown);
+  const blocks = [];
+  tokens.forEach((token, i) => {
+    if (!token.map) return;
+    if (token.type === "inline" || token.type === "fence" || token.type === "code_block") {
+      blocks.push(blockFromToken(token, tokens[i - 1], lines, lineStarts));
+    }
+  });
+  return { blocks, lineStarts };
+}
+
+function docBlocks(doc) {
+  const blocks = [];
+  doc.descendants((node, pos) => {
+    if (!node.isTextblock) return true;
+    blocks.push({ node, start: pos + 1, text: blockText(node) });
+    return false;
+  });
+  return blocks;
+}
+
+function contentToMarkdown(block, contentOffset) {
+  let seg = block.segments[0];
+  for (const candidate of block.segments) {
+    if (candidate.contentOffset <= contentOffset) seg = candidate;
+  }
+  return seg.mdOffset + Math.min(contentOffset - seg.contentOffset, seg.length);
+}
+
+function markdownToContent(block, line, offset) {
+  const seg = block.segments.find((candidate) => candidate.lineNo === line);
+  if (seg) return seg.contentOffset + Math.max(0, Math.min(offset - seg.mdOffset, seg.length));
+  return line < block.segments[0].lineNo ? 0 : block.content.length;
+}
+
+// Whole-document alignment for the rare case where blocks can't be paired up
+function fallbackBlock(markdown, blocks) {
+  return {
+    source: markdown,
+    text: blocks.map((b) => b.text).join("\n"),
+    toPos(index) {
+      let remaining = index;
+      for (const b of blocks) {
+        if (remaining <= b.text.length) return b.start + remaining;
+        remaining -= b.text.length + 1;
+      }
+      const last = blocks[blocks.length - 1];
+      return last ? last.start + last.text.length : 0;
+    },
+    fromPos(pos) {
+      let index = 0;
+      for (const b of blocks) {
+        if (pos <= b.start + b.text.length) return index + Math.max(0, pos - b.start);
+        index += b.text.length + 1;
+      }
+      return index;
+    }
+  };
+}
+
+/**
+ * Markdown offset corresponding to a document position.
+ * `tokenize` is the markdown-it parse function the document was parsed with.
+ * Where markup separates the position from the next character (`Some |**bold**`),
+ * assoc < 0 stays before the markup and assoc > 0 moves past it.
+ */
+export function markdownOffsetFromPos(doc, pos, markdown, tokenize, assoc = -1) {
+  const pmBlocks = docBlocks(doc);
+  const { blocks } = sourceBlocks(markdown, tokenize);
+
+  if (pmBlocks.length === 0) return 0;
+  if (pmBlocks.length !== blocks.length) {
+    const all = fallbackBlock(markdown, pmBlocks);
+    return sourceOffsetFor(all.source, all.text, all.fromPos(pos), assoc);
+  }
+
+  // Closest textblock at or before the position
+  let index = 0;
+  for (let i = 0; i < pmBlocks.length; i++) {
+    if (pmBlocks[i].start - 1 <= pos) index = i;
+  }
+  const pm = pmBlocks[index];
+  const block = blocks[index];
+  const count = Math.max(0, Math.min(pos - pm.start, pm.text.length));
+  return contentToMarkdown(block, sourceOffsetFor(block.content, pm.text, count, assoc));
+}
+
+/**
+ * Document position corresponding to a markdown offset.
+ * `tokenize` is the markdown-it parse function the document was parsed with.
+ */
+export function posFromMarkdownOffset(doc, offset, markdown, tokenize) {
+  const pmBlocks = docBlocks(doc);
+  const { blocks, lineStarts } = sourceBlocks(markdown, tokenize);
+  const clamped = Math.max(0, Math.min(offset, markdown.length));
+
+  if (pmBlocks.length === 0) return 0;
+  if (pmBlocks.length !== blocks.length) {
+    const all = fallbackBlock(markdown, pmBlocks);
+    return all.toPos(textOffsetFor(all.source, all.text, clamped));
+  }
+
+  // The block containing the line, or the last one before it (blank lines between blocks)
+  const line = lineAt(lineStarts, clamped);
+  let index = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    if (blocks[i].startLine <= line) index = i;
+  }
+  const contentOffset = markdownToContent(blocks[index], line, clamped);
+  return pmBlocks[index].start + textOffsetFor(blocks[index].content, pmBlocks[index].text, contentOffset);
+}
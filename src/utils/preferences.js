@@ -0,0 +1,42 @@
+// Per-field editor mode preferences (localStorage by default, host-overridable)
+//
+// A store is any object with get(key) -> string | null and set(key, value).
+
+const KEY_PREFIX = "pm-editor-mode:";
+
+// Reading window.localStorage throws on opaque origins and when storage is blocked
+export function localStorageFor(element) {
+  try {
+    return (element?.ownerDocument?.defaultView ?? globalThis).localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function createLocalStorageStore(storage, prefix = KEY_PREFIX) {
+  return {
+    get(key) {
+      try { return storage?.getItem(prefix + key) ?? null; } catch { return null; }
+    },
+    set(key, value) {
+      try { storage?.setItem(prefix + key, value); } catch { /* quota exceeded or blocked */ }
+    }
+  };
+}
+
+// data-editor-key wins so fields sharing a name across pages can be told apart
+export function preferenceKeyFor(element) {
+  return element.getAttribute("data-editor-key") || element.getAttribute("name") || element.id || null;
+}
+
+// Bind a store to one field. `store` is undefined (use localStorage), false (disabled) or a custom store.
+export function bindModePreference(element, store) {
+  const key = preferenceKeyFor(element);
+  if (!key || store === false || store === null) return null;
+  const resolved = store ?? createLocalStorageStore(localStorageFor(element));
+  return {
+    key,
+    get: () => resolved.get(key),
+    set: (mode) => resolved.set(key, mode)
+  };
+}
@@ -0,0 +1,118 @@
+// Scroll synchronisation between the markdown source and the WYSIWYG view
+// (split mode), block by block.
+//
+// Top-level blocks of the document pair up by order with the top-level
+// markdown-it tokens, whose `map` gives their source lines. Scrolling one side
+// finds the block at its top edge (and how far into it) and scrolls the other
+// side to the same point of the matching block. When the block counts differ
+// both sides fall back to the same scroll ratio.
+
+/** Source line ranges ([start, end)) of the top-level blocks in `tokens`. */
+export function blockLineRanges(tokens) {
+  const ranges = [];
+  for (const token of tokens) {
+    if (token.level === 0 && token.nesting !== -1 && token.map) {
+      ranges.push({ start: token.map[0], end: token.map[1] });
+    }
+  }
+  return ranges;
+}
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+// Top offsets and heights of the view's top-level block elements, relative to its scroll area
+function blockBoxes(view) {
+  const scroller = view.dom;
+  const top = scroller.getBoundingClientRect().top - scroller.scrollTop;
+  const boxes = [];
+  view.state.doc.forEach((_node, offset) => {
+    const dom = view.nodeDOM(offset);
+    const rect = dom?.getBoundingClientRect?.();
+    boxes.push(rect ? { top: rect.top - top, height: rect.height } : null);
+  });
+  return boxes;
+}
+
+// Index of the last entry starting at or before `position`, and the fraction into it
+function locate(starts, sizes, position) {
+  let index = 0;
+  for (let i = 0; i < starts.length; i++) {
+    if (starts[i] <= position) index = i;
+    else break;
+  }
+  const fraction = sizes[index] > 0 ? clamp01((position - starts[index]) / sizes[index]) : 0;
+  return { index, fraction };
+}
+
+const scrollMax = (el) => Math.max(0, el.scrollHeight - el.clientHeight);
+const scrollRatio = (el) => (scrollMax(el) > 0 ? el.scrollTop / scrollMax(el) : 0);
+
+/**
+ * Keep `textarea` and the EditorView `view` scrolled to the same block.
+ * `tokenize(markdown)` returns markdown-it tokens for the source.
+ *
+ * Returns { sourceToView, viewToSource, destroy }.
+ */
+export function createScrollSync({ textarea, view, tokenize }) {
+  // Scrolling one side fires a scroll event on the other; ignore that echo
+  let ignore = null;
+  const apply = (el, scrollTop) => {
+    if (Math.abs(el.scrollTop - scrollTop) < 1) return;
+    ignore = el;
+    el.scrollTop = scrollTop;
+    // A clamped scroll fires no event; don't swallow the user's next one
+    requestAnimationFrame(() => { if (ignore === el) ignore = null; });
+  };
+
+  // Source blocks only change with the text; tokenize once per edit, not per scroll event
+  let source = null;
+  function sourceBlocks() {
+    const markdown = textarea.value;
+    if (source?.markdown !== markdown) {
+      source = { markdown, lines: markdown.split("\n").length, ranges: blockLineRanges(tokenize(markdown)) };
+    }
+    return source;
+  }
+
+  function layout() {
+    const { lines, ranges } = sourceBlocks();
+    const boxes = blockBoxes(view);
+    if (!ranges.length || ranges.length !== boxes.length || boxes.some((box) => !box)) return null;
+    // Textareas don't expose line positions; assume lines of equal height
+    const lineHeight = textarea.scrollHeight / Math.max(1, lines);
+    return { ranges, boxes, lineHeight };
+  }
+
+  function sourceToView() {
+    const map = layout();
+    if (!map) return apply(view.dom, scrollRatio(textarea) * scrollMax(view.dom));
+    const { ranges, boxes, lineHeight } = map;
+    const line = textarea.scrollTop / lineHeight;
+    const { index, fraction } = locate(ranges.map((r) => r.start), ranges.map((r) => r.end - r.start), line);
+    const box = boxes[index];
+    apply(view.dom, box.top + fraction * box.height);
+  }
+
+  function viewToSource() {
+    const map = layout();
+    if (!map) return apply(textarea, scrollRatio(view.dom) * scrollMax(textarea));
+    const { ranges, boxes, lineHeight } = map;
+    const { index, fraction } = locate(boxes.map((b) => b.top), boxes.map((b) => b.height), view.dom.scrollTop);
+    const range = ranges[index];
+    apply(textarea, (range.start + fraction * (range.end - range.start)) * lineHeight);
+  }
+
+  const onSourceScroll = () => { if (ignore === textarea) ignore = null; else sourceToView(); };
+  const onViewScroll = () => { if (ignore === view.dom) ignore = null; else viewToSource(); };
+  textarea.addEventListener("scroll", onSourceScroll);
+  view.dom.addEventListener("scroll", onViewScroll);
+
+  return {
+    sourceToView,
+    viewToSource,
+    destroy() {
+      textarea.removeEventListener("scroll", onSourceScroll);
+      view.dom.removeEventListener("scroll", onViewScroll);
+    }
+  };
+}